@@ -0,0 +1,160 @@
+const { aggregateReducers, removeItems } = require('../aggregate-reducers');
+
+const reducerFor = aggregateType => aggregateReducers.find(reducer => reducer.aggregateType === aggregateType);
+
+// Folds events the way the aggregate repository does
+function replay(aggregateType, events) {
+    const reducer = reducerFor(aggregateType);
+    return events.reduce(
+        (state, [eventType, data, timestamp], index) => reducer.apply(state, { eventType, data, version: index + 1, timestamp }),
+        reducer.initialState()
+    );
+}
+
+describe('removeItems', () => {
+    const items = [
+        { productId: 1, quantity: 3, unitPrice: 19.99, totalPrice: 59.97 },
+        { productId: 2, quantity: 1, unitPrice: 5, totalPrice: 5 }
+    ];
+
+    test('lowers quantities and recomputes line totals in cents', () => {
+        expect(removeItems(items, [{ productId: 1, quantity: 1 }])).toEqual([
+            { productId: 1, quantity: 2, unitPrice: 19.99, totalPrice: 39.98 },
+            items[1]
+        ]);
+    });
+
+    test('drops lines removed completely', () => {
+        expect(removeItems(items, [{ productId: 2, quantity: 1 }])).toEqual([items[0]]);
+    });
+
+    test('adds up repeated removals of one product', () => {
+        const remaining = removeItems(items, [{ productId: 1, quantity: 1 }, { productId: 1, quantity: 1 }]);
+
+        expect(remaining[0].quantity).toBe(1);
+    });
+
+    test('spreads a removal over several lines of the same product', () => {
+        const split = [
+            { productId: 1, quantity: 1, unitPrice: 2, totalPrice: 2 },
+            { productId: 1, quantity: 2, unitPrice: 2, totalPrice: 4 }
+        ];
+
+        expect(removeItems(split, [{ productId: 1, quantity: 2 }])).toEqual([
+            { productId: 1, quantity: 1, unitPrice: 2, totalPrice: 2 }
+        ]);
+    });
+
+    test('ignores removals beyond what the order holds, and unknown products', () => {
+        expect(removeItems(items, [{ productId: 1, quantity: 10 }, { productId: 9, quantity: 1 }])).toEqual([items[1]]);
+    });
+
+    test('leaves its input untouched', () => {
+        const before = structuredClone(items);
+        removeItems(items, [{ productId: 1, quantity: 1 }]);
+
+        expect(items).toEqual(before);
+    });
+});
+
+describe('aggregateReducers', () => {
+    test('registers one reducer per aggregate type, each with a version', () => {
+        const types = aggregateReducers.map(reducer => reducer.aggregateType);
+
+        expect(new Set(types).size).toBe(types.length);
+        aggregateReducers.forEach(reducer => expect(reducer.version).toBeGreaterThanOrEqual(1));
+    });
+
+    test('Order follows creation, item cancellation and status changes', () => {
+        const state = replay('Order', [
+            ['order.created', {
+                orderId: 1,
+                userId: 7,
+                items: [{ productId: 1, quantity: 2, unitPrice: 10, totalPrice: 20 }],
+                totalAmount: 20,
+                timestamp: 't1'
+            }],
+            ['order.items_cancelled', { items: [{ productId: 1, quantity: 1 }], totalAmount: 10, timestamp: 't2' }],
+            ['order.status_changed', { status: 'shipped', trackingNumber: 'TRK1', carrier: 'ups', timestamp: 't3' }],
+            ['order.status_changed', { status: 'delivered', timestamp: 't4' }]
+        ]);
+
+        expect(state).toMatchObject({
+            orderId: 1,
+            status: 'delivered',
+            items: [{ productId: 1, quantity: 1, totalPrice: 10 }],
+            cancelledItems: [{ productId: 1, quantity: 1 }],
+            totalAmount: 10,
+            trackingNumber: 'TRK1',
+            carrier: 'ups',
+            createdAt: 't1',
+            updatedAt: 't4'
+        });
+    });
+
+    test.each([
+        ['order.cancelled', 'cancelled'],
+        ['order.expired', 'expired']
+    ])('Order moves to the status of %s', (eventType, status) => {
+        const state = replay('Order', [
+            ['order.created', { orderId: 1, items: [], totalAmount: 0, timestamp: 't1' }],
+            [eventType, { timestamp: 't2' }]
+        ]);
+
+        expect(state).toMatchObject({ status, updatedAt: 't2' });
+    });
+
+    test('Payment adds up partial refunds without float drift', () => {
+        const state = replay('Payment', [
+            ['payment.confirmed', { orderId: 1, paymentId: 'p1', amount: 0.3, timestamp: 't1' }],
+            ['payment.refunded', { orderId: 1, paymentId: 'p1', amount: 0.1, timestamp: 't2' }]
+        ]);
+        expect(state).toMatchObject({ refundedAmount: 0.1, status: 'partially_refunded' });
+
+        const refunded = reducerFor('Payment').apply(state, {
+            eventType: 'payment.refunded',
+            data: { orderId: 1, paymentId: 'p1', amount: 0.2, timestamp: 't3' }
+        });
+        expect(refunded).toMatchObject({ refundedAmount: 0.3, status: 'refunded' });
+    });
+
+    test('Payment records a failure', () => {
+        const state = replay('Payment', [
+            ['payment.failed', { orderId: 1, paymentId: 'p1', amount: 5, error: 'card_declined', timestamp: 't1' }]
+        ]);
+
+        expect(state).toMatchObject({ status: 'failed', error: 'card_declined', refundedAmount: 0 });
+    });
+
+    test('User counts logins', () => {
+        const state = replay('User', [
+            ['user.created', { userId: 7, email: 'a@example.com' }, 't0'],
+            ['user.login', { userId: 7, email: 'a@example.com', timestamp: 't1' }],
+            ['user.login', { userId: 7, email: 'a@example.com', timestamp: 't2' }]
+        ]);
+
+        expect(state).toMatchObject({ createdAt: 't0', lastLogin: 't2', loginCount: 2 });
+    });
+
+    test('Product tracks reservations, releases and failed reservations', () => {
+        const state = replay('Product', [
+            ['inventory.reserved', { productId: 3, quantity: 2, remainingQuantity: 8 }],
+            ['inventory.restore', { productId: 3, quantity: 1 }],
+            ['inventory.reservation_failed', { productId: 3, availableQuantity: 9 }]
+        ]);
+
+        expect(state).toEqual({
+            productId: 3,
+            stockQuantity: 9,
+            reservedQuantity: 2,
+            releasedQuantity: 1,
+            failedReservations: 1
+        });
+    });
+
+    test('reducers ignore event types they do not know', () => {
+        const state = { orderId: 1, status: 'pending' };
+
+        expect(reducerFor('Order').apply(state, { eventType: 'order.unknown', data: {} })).toBe(state);
+    });
+});
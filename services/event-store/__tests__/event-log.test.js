@@ -0,0 +1,126 @@
+const { EventLog, ConcurrencyError } = require('../event-log');
+
+// Answers the queries EventLog issues from an in-memory events table. Inserts are
+// kept only when the transaction commits.
+function fakeDb() {
+    const db = { rows: [], failNextInsert: null };
+
+    const query = (pending) => async (sql, params) => {
+        const visible = [...db.rows, ...pending];
+        if (sql.includes('pg_advisory_xact_lock')) {
+            return { rows: [] };
+        }
+        if (sql.includes('MAX(event_version)')) {
+            const versions = visible
+                .filter(row => row.aggregate_type === params[0] && row.aggregate_id === params[1])
+                .map(row => row.event_version);
+            return { rows: [{ version: Math.max(0, ...versions) }] };
+        }
+        if (sql.includes('SELECT message_id')) {
+            return { rows: visible.filter(row => row.message_id && params[0].includes(row.message_id)) };
+        }
+        if (sql.includes('INSERT INTO events')) {
+            if (db.failNextInsert) {
+                const error = db.failNextInsert;
+                db.failNextInsert = null;
+                throw error;
+            }
+            const [id, aggregate_id, aggregate_type, event_type, event_version, , , message_id] = params;
+            const row = { id, aggregate_id, aggregate_type, event_type, event_version, message_id };
+            pending.push(row);
+            return { rows: [row] };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    };
+
+    db.query = query([]);
+    db.withTransaction = async (fn) => {
+        const pending = [];
+        const result = await fn({ query: query(pending) });
+        db.rows.push(...pending);
+        return result;
+    };
+    return db;
+}
+
+const event = (eventType, extra = {}) => ({ eventType, data: {}, ...extra });
+
+describe('EventLog.append', () => {
+    let db;
+    let log;
+
+    beforeEach(() => {
+        db = fakeDb();
+        log = new EventLog(db);
+    });
+
+    test('numbers events after the current version of the stream', async () => {
+        await log.append('order', 'o1', [event('order.created')]);
+        const stored = await log.append('order', 'o1', [event('order.confirmed'), event('order.shipped')]);
+
+        expect(stored.map(row => row.event_version)).toEqual([2, 3]);
+    });
+
+    test('appends when the stream is at the expected version', async () => {
+        const stored = await log.append('order', 'o1', [event('order.created')], { expectedVersion: 0 });
+
+        expect(stored).toHaveLength(1);
+        await expect(log.append('order', 'o1', [event('order.confirmed')], { expectedVersion: 1 }))
+            .resolves.toHaveLength(1);
+    });
+
+    test('rejects a stale expected version without storing anything', async () => {
+        await log.append('order', 'o1', [event('order.created'), event('order.confirmed')]);
+
+        const error = await log.append('order', 'o1', [event('order.cancelled')], { expectedVersion: 1 }).catch(e => e);
+
+        expect(error).toBeInstanceOf(ConcurrencyError);
+        expect(error).toMatchObject({ aggregateType: 'order', aggregateId: 'o1', expectedVersion: 1, currentVersion: 2 });
+        expect(db.rows).toHaveLength(2);
+    });
+
+    test('expects version 0 to mean a new stream', async () => {
+        await log.append('order', 'o1', [event('order.created')]);
+
+        await expect(log.append('order', 'o1', [event('order.created')], { expectedVersion: 0 }))
+            .rejects.toBeInstanceOf(ConcurrencyError);
+    });
+
+    test('reports a version clash from the unique index as a ConcurrencyError', async () => {
+        await log.append('order', 'o1', [event('order.created')]);
+        db.failNextInsert = Object.assign(new Error('duplicate key'), {
+            code: '23505',
+            constraint: 'idx_events_aggregate_version'
+        });
+
+        const error = await log.append('order', 'o1', [event('order.confirmed')], { expectedVersion: 1 }).catch(e => e);
+
+        expect(error).toBeInstanceOf(ConcurrencyError);
+        expect(error.currentVersion).toBe(1);
+    });
+
+    test('passes other unique violations through', async () => {
+        db.failNextInsert = Object.assign(new Error('duplicate key'), {
+            code: '23505',
+            constraint: 'idx_events_message_id'
+        });
+
+        const error = await log.append('order', 'o1', [event('order.created')]).catch(e => e);
+
+        expect(error).not.toBeInstanceOf(ConcurrencyError);
+        expect(error.code).toBe('23505');
+    });
+
+    test('skips events whose message was already stored', async () => {
+        await log.append('order', 'o1', [event('order.created', { messageId: 'm1' })]);
+
+        const redelivered = await log.append('order', 'o1', [event('order.created', { messageId: 'm1' })]);
+        const mixed = await log.append('order', 'o1', [
+            event('order.created', { messageId: 'm1' }),
+            event('order.confirmed', { messageId: 'm2' })
+        ]);
+
+        expect(redelivered).toEqual([]);
+        expect(mixed.map(row => [row.message_id, row.event_version])).toEqual([['m2', 2]]);
+    });
+});
@@ -0,0 +1,158 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { compileSpec, loadProjections } = require('../projection-loader');
+
+// A spec as loadProjections passes it on, defaults applied
+const spec = (overrides = {}) => ({
+    name: 'order-totals',
+    version: 1,
+    enabled: true,
+    eventTypes: ['order.created'],
+    key: '$data.userId',
+    initialState: { orders: 0 },
+    handlers: {
+        'order.created': {
+            set: { lastOrderAt: '$timestamp', source: 'web' },
+            increment: { orders: 1, spent: '$data.totalAmount' },
+            append: { orderIds: '$data.orderId' }
+        }
+    },
+    ...overrides
+});
+
+const event = (data, extra = {}) => ({
+    eventType: 'order.created',
+    aggregateId: 'order-1',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    data,
+    ...extra
+});
+
+describe('compileSpec', () => {
+    test('keeps the definition fields', () => {
+        const definition = compileSpec(spec({ description: 'Totals per user' }));
+
+        expect(definition).toMatchObject({
+            name: 'order-totals',
+            version: 1,
+            enabled: true,
+            description: 'Totals per user',
+            eventTypes: ['order.created']
+        });
+    });
+
+    test('keys rows by the resolved key path, as a string', () => {
+        const definition = compileSpec(spec());
+
+        expect(definition.key(event({ userId: 7 }))).toBe('7');
+        expect(definition.key(event({}))).toBeNull();
+        expect(compileSpec(spec({ key: '$aggregateId' })).key(event({}))).toBe('order-1');
+    });
+
+    test('sets, increments and appends from the initial state', () => {
+        const definition = compileSpec(spec());
+
+        const first = definition.project(undefined, event({ userId: 7, orderId: 1, totalAmount: 20 }));
+        const second = definition.project(first, event({ userId: 7, orderId: 2, totalAmount: '5.5' }, { timestamp: 't2' }));
+
+        expect(first).toEqual({
+            orders: 1,
+            spent: 20,
+            lastOrderAt: '2024-01-01T00:00:00.000Z',
+            source: 'web',
+            orderIds: [1]
+        });
+        expect(second).toEqual({ orders: 2, spent: 25.5, lastOrderAt: 't2', source: 'web', orderIds: [1, 2] });
+    });
+
+    test('resolves paths inside objects and arrays, and missing paths to undefined', () => {
+        const definition = compileSpec(spec({
+            handlers: {
+                'order.created': { set: { summary: { id: '$data.orderId', tags: ['$data.channel', 'order'] }, missing: '$data.a.b' } }
+            }
+        }));
+
+        expect(definition.project(null, event({ orderId: 1, channel: 'web' }))).toEqual({
+            orders: 0,
+            summary: { id: 1, tags: ['web', 'order'] },
+            missing: undefined
+        });
+    });
+
+    test('counts a non-numeric increment as zero', () => {
+        const definition = compileSpec(spec());
+
+        expect(definition.project(undefined, event({ totalAmount: 'n/a' })).spent).toBe(0);
+    });
+
+    test('never mutates the previous state or the initial state', () => {
+        const initialState = { orders: 0, orderIds: [] };
+        const definition = compileSpec(spec({ initialState }));
+
+        const state = definition.project(undefined, event({ orderId: 1 }));
+        const previous = structuredClone(state);
+        definition.project(state, event({ orderId: 2 }));
+
+        expect(state).toEqual(previous);
+        expect(initialState).toEqual({ orders: 0, orderIds: [] });
+    });
+
+    test('leaves events without a handler to the caller', () => {
+        const definition = compileSpec(spec());
+
+        expect(definition.project({ orders: 1 }, event({}, { eventType: 'order.cancelled' }))).toBeUndefined();
+    });
+});
+
+describe('loadProjections', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'projections-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    const write = (file, content) => fs.writeFile(path.join(directory, file), JSON.stringify(content));
+
+    test('loads the bundled projections without errors', async () => {
+        const { definitions, errors } = await loadProjections(path.join(__dirname, '..', 'projections'));
+
+        expect(errors).toEqual([]);
+        expect(definitions.map(definition => definition.name).sort()).toEqual(['analytics', 'order-summary', 'user-summary']);
+    });
+
+    test('applies spec defaults and reports invalid specs without dropping the others', async () => {
+        const { key, initialState, version, enabled, ...minimal } = spec();
+        await write('a.json', minimal);
+        await write('b.json', { ...minimal, name: 'other', handlers: { 'order.shipped': { set: { a: 1 } } } });
+        await write('c.json', { ...minimal, name: 'Bad Name' });
+
+        const { definitions, errors } = await loadProjections(directory);
+
+        expect(definitions).toHaveLength(1);
+        expect(definitions[0]).toMatchObject({ name: 'order-totals', version: 1, source: 'a.json' });
+        expect(definitions[0].key(event({}))).toBe('order-1');
+        expect(errors.map(error => error.file)).toEqual(['b.json', 'c.json']);
+        expect(errors[0].error).toContain('order.shipped');
+    });
+
+    test('rejects a second projection with the same name', async () => {
+        await write('a.json', spec());
+        await write('b.json', spec());
+
+        const { definitions, errors } = await loadProjections(directory);
+
+        expect(definitions).toHaveLength(1);
+        expect(errors).toEqual([{ file: 'b.json', error: 'duplicate projection name order-totals' }]);
+    });
+
+    test('skips disabled projections', async () => {
+        await write('a.json', spec({ enabled: false }));
+
+        expect((await loadProjections(directory)).definitions).toEqual([]);
+    });
+});
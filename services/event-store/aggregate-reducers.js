@@ -0,0 +1,188 @@
+// Takes the quantities removed by order.items_cancelled off an order's items
+function removeItems(items, removed) {
+    const toRemove = new Map();
+    for (const { productId, quantity } of removed) {
+        toRemove.set(productId, (toRemove.get(productId) || 0) + quantity);
+    }
+
+    return items.reduce((remaining, item) => {
+        const taken = Math.min(toRemove.get(item.productId) || 0, item.quantity);
+        toRemove.set(item.productId, (toRemove.get(item.productId) || 0) - taken);
+
+        const quantity = item.quantity - taken;
+        if (quantity > 0) {
+            remaining.push({ ...item, quantity, totalPrice: Math.round(item.unitPrice * 100) * quantity / 100 });
+        }
+        return remaining;
+    }, []);
+}
+
+const toCents = amount => Math.round(amount * 100);
+
+// Folds an aggregate's events into its current state. apply(state, event) must be
+// pure: it sees only the previous state (initialState() before the first event) and
+// { eventType, data, version, timestamp }, and returns the next state. Bump `version`
+// whenever apply changes, so snapshots taken with the old reducer stop being used.
+const aggregateReducers = [
+    {
+        aggregateType: 'Order',
+        version: 1,
+        initialState: () => null,
+        apply(state, { eventType, data }) {
+            switch (eventType) {
+                case 'order.created':
+                    return {
+                        orderId: data.orderId,
+                        userId: data.userId,
+                        status: 'pending',
+                        items: data.items,
+                        cancelledItems: [],
+                        totalAmount: data.totalAmount,
+                        trackingNumber: null,
+                        carrier: null,
+                        createdAt: data.timestamp,
+                        updatedAt: data.timestamp
+                    };
+
+                case 'order.status_changed':
+                    return {
+                        ...state,
+                        status: data.status,
+                        trackingNumber: data.trackingNumber || state?.trackingNumber || null,
+                        carrier: data.carrier || state?.carrier || null,
+                        updatedAt: data.timestamp
+                    };
+
+                case 'order.items_cancelled':
+                    return {
+                        ...state,
+                        items: removeItems(state?.items || [], data.items),
+                        cancelledItems: [...(state?.cancelledItems || []), ...data.items],
+                        totalAmount: data.totalAmount,
+                        updatedAt: data.timestamp
+                    };
+
+                case 'order.cancelled':
+                    return { ...state, status: 'cancelled', updatedAt: data.timestamp };
+
+                case 'order.expired':
+                    return { ...state, status: 'expired', updatedAt: data.timestamp };
+
+                default:
+                    return state;
+            }
+        }
+    },
+    {
+        // One Payment aggregate per order (payment-<orderId>)
+        aggregateType: 'Payment',
+        version: 1,
+        initialState: () => null,
+        apply(state, { eventType, data }) {
+            switch (eventType) {
+                case 'payment.confirmed':
+                case 'payment.failed':
+                    return {
+                        orderId: data.orderId,
+                        userId: data.userId,
+                        paymentId: data.paymentId,
+                        paymentMethod: data.paymentMethod,
+                        amount: data.amount,
+                        status: eventType === 'payment.confirmed' ? 'confirmed' : 'failed',
+                        error: data.error || null,
+                        refundedAmount: state?.refundedAmount || 0,
+                        updatedAt: data.timestamp
+                    };
+
+                case 'payment.refunded': {
+                    const refundedAmount = (toCents(state?.refundedAmount || 0) + toCents(data.amount)) / 100;
+                    return {
+                        ...state,
+                        orderId: data.orderId,
+                        paymentId: data.paymentId,
+                        refundedAmount,
+                        status: state?.amount && refundedAmount < state.amount ? 'partially_refunded' : 'refunded',
+                        updatedAt: data.timestamp
+                    };
+                }
+
+                default:
+                    return state;
+            }
+        }
+    },
+    {
+        aggregateType: 'User',
+        version: 1,
+        initialState: () => null,
+        apply(state, { eventType, data, timestamp }) {
+            switch (eventType) {
+                case 'user.created':
+                    return {
+                        userId: data.userId,
+                        email: data.email,
+                        firstName: data.firstName,
+                        lastName: data.lastName,
+                        createdAt: timestamp,
+                        lastLogin: null,
+                        loginCount: 0
+                    };
+
+                case 'user.login':
+                    return {
+                        ...state,
+                        userId: data.userId,
+                        email: data.email,
+                        lastLogin: data.timestamp,
+                        loginCount: (state?.loginCount || 0) + 1
+                    };
+
+                default:
+                    return state;
+            }
+        }
+    },
+    {
+        // Stock movements of a product, as seen through inventory events
+        aggregateType: 'Product',
+        version: 1,
+        initialState: () => ({
+            productId: null,
+            stockQuantity: null,
+            reservedQuantity: 0,
+            releasedQuantity: 0,
+            failedReservations: 0
+        }),
+        apply(state, { eventType, data }) {
+            switch (eventType) {
+                case 'inventory.reserved':
+                    return {
+                        ...state,
+                        productId: data.productId,
+                        stockQuantity: data.remainingQuantity,
+                        reservedQuantity: state.reservedQuantity + data.quantity
+                    };
+
+                case 'inventory.restore':
+                    return {
+                        ...state,
+                        productId: data.productId,
+                        releasedQuantity: state.releasedQuantity + data.quantity
+                    };
+
+                case 'inventory.reservation_failed':
+                    return {
+                        ...state,
+                        productId: data.productId,
+                        stockQuantity: data.availableQuantity,
+                        failedReservations: state.failedReservations + 1
+                    };
+
+                default:
+                    return { ...state, productId: data.productId };
+            }
+        }
+    }
+];
+
+module.exports = { aggregateReducers, removeItems };
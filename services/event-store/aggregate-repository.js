@@ -0,0 +1,174 @@
+const { logger } = require('../../shared/logger');
+
+// Rebuilds aggregate state from the event log with the registered reducers (see
+// aggregate-reducers.js). Every EVENT_SNAPSHOT_INTERVAL events the state is saved
+// to `snapshots`, so loading an aggregate replays only the events after its latest
+// snapshot. Snapshots record the reducer version that produced them and are ignored
+// once the reducer's version changes.
+class AggregateRepository {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.reducers = new Map();
+        this.snapshotInterval = options.snapshotInterval || parseInt(process.env.EVENT_SNAPSHOT_INTERVAL) || 50;
+        // Events read per query while replaying
+        this.pageSize = options.pageSize || 500;
+        this.logger = (options.logger || logger).child({ component: 'AggregateRepository' });
+
+        (options.reducers || []).forEach(reducer => this.register(reducer));
+    }
+
+    register(reducer) {
+        if (typeof reducer.apply !== 'function' || typeof reducer.initialState !== 'function') {
+            throw new Error(`Reducer for ${reducer.aggregateType} must define apply and initialState`);
+        }
+        if (!Number.isInteger(reducer.version)) {
+            throw new Error(`Reducer for ${reducer.aggregateType} must have an integer version`);
+        }
+        this.reducers.set(reducer.aggregateType, reducer);
+        return this;
+    }
+
+    has(aggregateType) {
+        return this.reducers.has(aggregateType);
+    }
+
+    list() {
+        return Array.from(this.reducers.values()).map(({ aggregateType, version }) => ({ aggregateType, version }));
+    }
+
+    // Resolves with { version, state, snapshotVersion, eventsApplied }; version is 0
+    // when the aggregate has no events. useSnapshot: false replays from the first event.
+    async load(aggregateType, aggregateId, { useSnapshot = true } = {}) {
+        const reducer = this.reducers.get(aggregateType);
+        if (!reducer) {
+            throw new Error(`No reducer registered for ${aggregateType}`);
+        }
+
+        const snapshot = useSnapshot ? await this.getSnapshot(reducer, aggregateId) : null;
+        let state = snapshot ? snapshot.data : reducer.initialState();
+        let version = snapshot ? snapshot.version : 0;
+        let eventsApplied = 0;
+
+        for (;;) {
+            const result = await this.db.query(
+                `SELECT event_type, event_data, event_version, timestamp FROM events
+                 WHERE aggregate_type = $1 AND aggregate_id = $2 AND event_version > $3
+                 ORDER BY event_version
+                 LIMIT $4`,
+                [aggregateType, aggregateId, version, this.pageSize]
+            );
+
+            for (const event of result.rows) {
+                state = reducer.apply(state, {
+                    eventType: event.event_type,
+                    data: event.event_data,
+                    version: event.event_version,
+                    timestamp: event.timestamp.toISOString()
+                });
+                version = event.event_version;
+            }
+            eventsApplied += result.rows.length;
+
+            if (result.rows.length < this.pageSize) {
+                break;
+            }
+        }
+
+        return { version, state, snapshotVersion: snapshot ? snapshot.version : null, eventsApplied };
+    }
+
+    async getSnapshot(reducer, aggregateId) {
+        const result = await this.db.query(
+            `SELECT version, data FROM snapshots
+             WHERE aggregate_type = $1 AND aggregate_id = $2 AND reducer_version = $3`,
+            [reducer.aggregateType, aggregateId, reducer.version]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Keeps only the latest snapshot per aggregate; an older state never replaces a
+    // newer one taken with the same reducer version
+    async saveSnapshot(aggregateType, aggregateId, { version, state }) {
+        const reducer = this.reducers.get(aggregateType);
+        await this.db.query(
+            `INSERT INTO snapshots (aggregate_type, aggregate_id, version, reducer_version, data)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (aggregate_type, aggregate_id) DO UPDATE SET
+                version = EXCLUDED.version,
+                reducer_version = EXCLUDED.reducer_version,
+                data = EXCLUDED.data,
+                created_at = CURRENT_TIMESTAMP
+             WHERE snapshots.version < EXCLUDED.version OR snapshots.reducer_version <> EXCLUDED.reducer_version`,
+            [aggregateType, aggregateId, version, reducer.version, JSON.stringify(state)]
+        );
+    }
+
+    // Call once an append has moved a stream from fromVersion to toVersion; takes a
+    // snapshot when the append crossed a multiple of the snapshot interval
+    async onAppended(aggregateType, aggregateId, fromVersion, toVersion) {
+        if (!this.reducers.has(aggregateType)) {
+            return false;
+        }
+        if (Math.floor(fromVersion / this.snapshotInterval) === Math.floor(toVersion / this.snapshotInterval)) {
+            return false;
+        }
+
+        const aggregate = await this.load(aggregateType, aggregateId);
+        await this.saveSnapshot(aggregateType, aggregateId, aggregate);
+        this.logger.debug('Snapshot saved', { aggregateType, aggregateId, version: aggregate.version });
+        return true;
+    }
+
+    // Drops the snapshots of an aggregate type, or of one aggregate; loads replay
+    // every event until new snapshots are taken
+    async invalidate(aggregateType, aggregateId = null) {
+        const result = aggregateId === null
+            ? await this.db.query('DELETE FROM snapshots WHERE aggregate_type = $1', [aggregateType])
+            : await this.db.query(
+                'DELETE FROM snapshots WHERE aggregate_type = $1 AND aggregate_id = $2',
+                [aggregateType, aggregateId]
+            );
+        return result.rowCount;
+    }
+
+    // Replaces the snapshots of an aggregate type with ones rebuilt from the full event
+    // history by the current reducer, for every aggregate with at least snapshotInterval
+    // events. Resolves with the number of snapshots written.
+    async regenerate(aggregateType) {
+        if (!this.reducers.has(aggregateType)) {
+            throw new Error(`No reducer registered for ${aggregateType}`);
+        }
+
+        await this.invalidate(aggregateType);
+
+        let regenerated = 0;
+        let lastId = '';
+        for (;;) {
+            const result = await this.db.query(
+                `SELECT aggregate_id FROM events
+                 WHERE aggregate_type = $1 AND aggregate_id > $2
+                 GROUP BY aggregate_id
+                 HAVING MAX(event_version) >= $3
+                 ORDER BY aggregate_id
+                 LIMIT 100`,
+                [aggregateType, lastId, this.snapshotInterval]
+            );
+
+            for (const { aggregate_id: aggregateId } of result.rows) {
+                const aggregate = await this.load(aggregateType, aggregateId, { useSnapshot: false });
+                await this.saveSnapshot(aggregateType, aggregateId, aggregate);
+                regenerated++;
+                lastId = aggregateId;
+            }
+
+            if (result.rows.length < 100) {
+                break;
+            }
+        }
+
+        this.logger.info('Snapshots regenerated', { aggregateType, count: regenerated });
+        return regenerated;
+    }
+}
+
+module.exports = AggregateRepository;
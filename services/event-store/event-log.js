@@ -0,0 +1,98 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+class ConcurrencyError extends Error {
+    constructor(aggregateType, aggregateId, expectedVersion, currentVersion) {
+        super(`${aggregateType} ${aggregateId} is at version ${currentVersion}, expected ${expectedVersion}`);
+        this.name = 'ConcurrencyError';
+        this.aggregateType = aggregateType;
+        this.aggregateId = aggregateId;
+        this.expectedVersion = expectedVersion;
+        this.currentVersion = currentVersion;
+    }
+}
+
+// Append-only event streams, one per aggregate, versioned 1, 2, 3... Appends to a
+// stream are serialized with a transaction-scoped advisory lock; the unique index on
+// (aggregate_type, aggregate_id, event_version) backs that up, so two writers can
+// never store the same version.
+class EventLog {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async currentVersion(db, aggregateType, aggregateId) {
+        const result = await db.query(
+            'SELECT COALESCE(MAX(event_version), 0) AS version FROM events WHERE aggregate_type = $1 AND aggregate_id = $2',
+            [aggregateType, aggregateId]
+        );
+        return result.rows[0].version;
+    }
+
+    // Writes `events` ([{ eventType, data, metadata, messageId? }]) atomically after
+    // the stream's last event. With an expectedVersion (0 for a new stream) the append
+    // fails with ConcurrencyError unless the stream is at exactly that version; null
+    // appends whatever the version. An event whose messageId (the id of the broker
+    // message it came from) is already stored is a redelivery and is skipped.
+    // Resolves with the stored events, empty if every event was a redelivery.
+    async append(aggregateType, aggregateId, events, { expectedVersion = null } = {}) {
+        try {
+            return await this.db.withTransaction(async (client) => {
+                await client.query(
+                    "SELECT pg_advisory_xact_lock(hashtext($1 || ':' || $2))",
+                    [aggregateType, aggregateId]
+                );
+
+                const messageIds = events.map(event => event.messageId).filter(Boolean);
+                if (messageIds.length > 0) {
+                    const seen = await client.query(
+                        'SELECT message_id FROM events WHERE message_id = ANY($1)',
+                        [messageIds]
+                    );
+                    const stored = new Set(seen.rows.map(row => row.message_id));
+                    events = events.filter(event => !stored.has(event.messageId));
+                    if (events.length === 0) {
+                        return [];
+                    }
+                }
+
+                const currentVersion = await this.currentVersion(client, aggregateType, aggregateId);
+                if (expectedVersion !== null && expectedVersion !== currentVersion) {
+                    throw new ConcurrencyError(aggregateType, aggregateId, expectedVersion, currentVersion);
+                }
+
+                const stored = [];
+                for (const [index, event] of events.entries()) {
+                    const result = await client.query(
+                        `INSERT INTO events (id, aggregate_id, aggregate_type, event_type, event_version, event_data, metadata, message_id)
+                         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                         RETURNING *`,
+                        [
+                            uuidv4(),
+                            aggregateId,
+                            aggregateType,
+                            event.eventType,
+                            currentVersion + index + 1,
+                            JSON.stringify(event.data),
+                            JSON.stringify(event.metadata || {}),
+                            event.messageId || null
+                        ]
+                    );
+                    stored.push(result.rows[0]);
+                }
+                return stored;
+            });
+        } catch (error) {
+            // Only reachable if a writer bypassed the lock
+            if (error.code === UNIQUE_VIOLATION && error.constraint === 'idx_events_aggregate_version') {
+                const currentVersion = await this.currentVersion(this.db, aggregateType, aggregateId);
+                throw new ConcurrencyError(aggregateType, aggregateId, expectedVersion, currentVersion);
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = { EventLog, ConcurrencyError };
@@ -0,0 +1,227 @@
+const { logger } = require('../../shared/logger');
+
+// Sends stored events to live subscribers (the SSE endpoint). One poller per process
+// tails `events` by sequence_number and fans new rows out; a subscriber first catches
+// up from Postgres to the poller's position, then receives the poller's feed.
+//
+// sequence_number is taken on insert, so a concurrent append can commit a lower
+// number after a higher one is visible. The poller waits at such a gap until it fills.
+// A rolled-back append leaves a gap for good; the poller moves past one only once
+// gapTimeoutMs has passed and every transaction that was running when the gap was
+// first seen has ended, so a number still missing then can never appear. Projections
+// rely on this to never skip an event.
+class EventStreamHub {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.pollInterval = options.pollInterval || parseInt(process.env.EVENT_STREAM_POLL_INTERVAL_MS) || 1000;
+        this.gapTimeoutMs = options.gapTimeoutMs || 5000;
+        this.heartbeatInterval = options.heartbeatInterval || 15000;
+        this.batchSize = options.batchSize || 500;
+        // Subscribers further behind than this are disconnected; they resume with Last-Event-ID
+        this.maxBufferedBytes = options.maxBufferedBytes || 1024 * 1024;
+        this.maxPending = options.maxPending || 10000;
+        this.logger = (options.logger || logger).child({ component: 'EventStreamHub' });
+        this.subscribers = new Set();
+        // Last sequence_number handed to subscribers; null until started
+        this.cursor = null;
+        this.gap = null;
+        this.timer = null;
+        this.heartbeat = null;
+        this.polling = null;
+        this.pollAgain = false;
+
+        if (options.metrics) {
+            options.metrics.gauge(
+                'event_stream_subscribers',
+                'Open live event streams',
+                [],
+                gauge => gauge.set(this.subscribers.size)
+            );
+        }
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    async start() {
+        const result = await this.db.query('SELECT COALESCE(MAX(sequence_number), 0) AS sequence FROM events');
+        this.cursor = result.rows[0].sequence;
+
+        this.timer = setInterval(() => this.poll(), this.pollInterval);
+        this.timer.unref();
+        this.heartbeat = setInterval(() => this.sendHeartbeats(), this.heartbeatInterval);
+        this.heartbeat.unref();
+        this.logger.info('Event stream started', { sequence: this.cursor, pollIntervalMs: this.pollInterval });
+    }
+
+    // Closes every stream and waits for a running poll to finish
+    async stop() {
+        clearInterval(this.timer);
+        clearInterval(this.heartbeat);
+        this.timer = null;
+        for (const subscriber of this.subscribers) {
+            subscriber.res.end();
+        }
+        this.subscribers.clear();
+        await this.polling;
+    }
+
+    // Also called after local appends, so they go out without waiting for the timer.
+    // A poll requested while one runs is done right after it.
+    poll() {
+        if (!this.isRunning()) {
+            return Promise.resolve();
+        }
+        if (this.polling) {
+            this.pollAgain = true;
+            return this.polling;
+        }
+
+        this.polling = this.fetchNew()
+            .catch(error => this.logger.error('Event stream poll failed', { error }))
+            .finally(() => {
+                this.polling = null;
+                if (this.pollAgain) {
+                    this.pollAgain = false;
+                    this.poll();
+                }
+            });
+        return this.polling;
+    }
+
+    async fetchNew() {
+        for (;;) {
+            const result = await this.db.query(
+                'SELECT * FROM events WHERE sequence_number > $1 ORDER BY sequence_number LIMIT $2',
+                [this.cursor, this.batchSize]
+            );
+
+            for (const event of result.rows) {
+                if (event.sequence_number !== this.cursor + 1) {
+                    if (!await this.gapSettled(this.cursor + 1)) {
+                        return;
+                    }
+                    this.logger.warn('Skipping sequence gap left by a rolled-back append', {
+                        from: this.cursor + 1,
+                        to: event.sequence_number - 1
+                    });
+                }
+                this.gap = null;
+                this.cursor = event.sequence_number;
+                this.publish(event);
+            }
+
+            if (result.rows.length < this.batchSize) {
+                return;
+            }
+        }
+    }
+
+    // The append that took `sequence` was running (or rolled back) when the gap was
+    // first seen; the gap is settled once every transaction running then has ended
+    async gapSettled(sequence) {
+        if (!this.gap || this.gap.sequence !== sequence) {
+            const result = await this.db.query('SELECT pg_snapshot_xmax(pg_current_snapshot())::text AS xmax');
+            this.gap = { sequence, since: Date.now(), xmax: result.rows[0].xmax };
+            return false;
+        }
+        if (Date.now() - this.gap.since < this.gapTimeoutMs) {
+            return false;
+        }
+
+        const result = await this.db.query(
+            'SELECT pg_snapshot_xmin(pg_current_snapshot()) >= $1::xid8 AS settled',
+            [this.gap.xmax]
+        );
+        return result.rows[0].settled;
+    }
+
+    publish(event) {
+        for (const subscriber of this.subscribers) {
+            if (!this.matches(subscriber, event)) {
+                continue;
+            }
+            if (subscriber.live) {
+                this.send(subscriber, event);
+            } else if (subscriber.pending.push(event) > this.maxPending) {
+                this.disconnect(subscriber, 'catch-up too slow');
+            }
+        }
+    }
+
+    matches({ eventTypes, aggregateTypes }, event) {
+        return (eventTypes.length === 0 || eventTypes.includes(event.event_type))
+            && (aggregateTypes.length === 0 || aggregateTypes.includes(event.aggregate_type));
+    }
+
+    // Streams events to `res` until it closes. eventTypes/aggregateTypes narrow the
+    // feed (empty = everything); after is the sequence_number to resume after, or
+    // null for new events only. Resolves once the subscriber is live.
+    async subscribe(res, { eventTypes = [], aggregateTypes = [], after = null }) {
+        const catchUpTo = this.cursor;
+        const subscriber = { res, eventTypes, aggregateTypes, last: after ?? catchUpTo, live: false, pending: [] };
+        this.subscribers.add(subscriber);
+        res.on('close', () => this.subscribers.delete(subscriber));
+
+        while (subscriber.last < catchUpTo && this.subscribers.has(subscriber)) {
+            const result = await this.db.query(
+                `SELECT * FROM events
+                 WHERE sequence_number > $1 AND sequence_number <= $2
+                   AND (cardinality($3::text[]) = 0 OR event_type = ANY($3))
+                   AND (cardinality($4::text[]) = 0 OR aggregate_type = ANY($4))
+                 ORDER BY sequence_number
+                 LIMIT $5`,
+                [subscriber.last, catchUpTo, eventTypes, aggregateTypes, this.batchSize]
+            );
+            if (result.rows.length === 0) {
+                break;
+            }
+            result.rows.forEach(event => this.send(subscriber, event));
+        }
+
+        subscriber.live = true;
+        const pending = subscriber.pending;
+        subscriber.pending = [];
+        pending.forEach(event => this.send(subscriber, event));
+    }
+
+    send(subscriber, event) {
+        if (event.sequence_number <= subscriber.last || !this.subscribers.has(subscriber)) {
+            return;
+        }
+        subscriber.last = event.sequence_number;
+
+        const payload = {
+            eventId: event.id,
+            sequenceNumber: event.sequence_number,
+            eventType: event.event_type,
+            aggregateType: event.aggregate_type,
+            aggregateId: event.aggregate_id,
+            version: event.event_version,
+            data: event.event_data,
+            metadata: event.metadata,
+            timestamp: event.timestamp
+        };
+        subscriber.res.write(`id: ${event.sequence_number}\ndata: ${JSON.stringify(payload)}\n\n`);
+
+        if (subscriber.res.writableLength > this.maxBufferedBytes) {
+            this.disconnect(subscriber, 'client too slow');
+        }
+    }
+
+    disconnect(subscriber, reason) {
+        this.logger.warn('Event stream subscriber disconnected', { reason, sequence: subscriber.last });
+        this.subscribers.delete(subscriber);
+        subscriber.res.end();
+    }
+
+    // SSE comments keep idle connections open through proxies
+    sendHeartbeats() {
+        for (const subscriber of this.subscribers) {
+            subscriber.res.write(': heartbeat\n\n');
+        }
+    }
+}
+
+module.exports = EventStreamHub;
@@ -1,162 +1,170 @@
+const path = require('path');
 const express = require('express');
 const Joi = require('joi');
-const { v4: uuidv4 } = require('uuid');
-const { Client } = require('pg');
 const BaseService = require('../../shared/base-service');
+const Database = require('../../shared/database');
+const MigrationRunner = require('../../shared/migration-runner');
 const MessageBroker = require('../../shared/message-broker');
+const createDeadLetterRouter = require('../../shared/dead-letter-routes');
+const { eventSchemas } = require('../../shared/event-schemas');
+const { EventLog, ConcurrencyError } = require('./event-log');
+const AggregateRepository = require('./aggregate-repository');
+const EventStreamHub = require('./event-stream');
+const { ProjectionManager, RebuildInProgressError } = require('./projection-manager');
+const { aggregateReducers } = require('./aggregate-reducers');
 
 class EventStore extends BaseService {
     constructor() {
         super('event-store', 3005);
-        this.db = null;
-        this.messageBroker = new MessageBroker();
+        this.db = new Database({
+            host: 'postgres-events',
+            database: 'eventsdb'
+        });
+        this.migrations = new MigrationRunner(this.db, {
+            directory: path.join(__dirname, 'migrations')
+        });
+        this.eventLog = new EventLog(this.db);
+        this.aggregates = new AggregateRepository(this.db, { reducers: aggregateReducers });
+        this.eventStream = new EventStreamHub(this.db, { metrics: this.metrics });
+        this.messageBroker = new MessageBroker({ consumerGroup: this.serviceName });
         this.eventHandlers = new Map();
-        this.projections = new Map();
+        this.projections = new ProjectionManager(this.db, this.eventStream, {
+            directory: process.env.PROJECTIONS_DIR || path.join(__dirname, 'projections')
+        });
         this.setupRoutes();
         this.connectToDatabase();
         this.connectToMessageBroker();
-        this.setupProjections();
+        this.setupHealthChecks();
+        this.setupShutdownHooks();
     }
 
-    async connectToDatabase() {
-        this.db = new Client({
-            host: process.env.POSTGRES_HOST || 'postgres-events',
-            port: process.env.POSTGRES_PORT || 5432,
-            database: process.env.POSTGRES_DB || 'eventsdb',
-            user: process.env.POSTGRES_USER || 'postgres',
-            password: process.env.POSTGRES_PASSWORD || 'password'
+    setupHealthChecks() {
+        this.healthChecks.register('postgres', async () => {
+            await this.db.ping();
+            return this.db.getStats();
+        });
+        this.healthChecks.register('message-broker', () => this.messageBroker.isHealthy());
+    }
+
+    setupShutdownHooks() {
+        this.onShutdown('message-broker', async (remainingMs) => {
+            // Leave part of the budget for the hooks that follow
+            await this.messageBroker.drain(Math.max(remainingMs - 2000, 0));
+            await this.messageBroker.disconnect();
         });
+        this.onShutdown('projections', () => this.projections.stop());
+        this.onShutdown('postgres', () => this.db.close());
+    }
 
+    async connectToDatabase() {
         try {
             await this.db.connect();
-            await this.createTables();
-            console.log('[EventStore] Connected to PostgreSQL');
+            await this.migrations.up();
+            this.logger.info('Connected to PostgreSQL');
+            await this.eventStream.start();
+            await this.projections.start();
         } catch (error) {
-            console.error('[EventStore] Database connection failed:', error);
+            this.logger.error('Database connection failed', { error });
         }
     }
 
     async connectToMessageBroker() {
         try {
             await this.messageBroker.connect();
-            this.setupEventListeners();
+            await this.setupEventListeners();
         } catch (error) {
-            console.error('[EventStore] MessageBroker connection failed:', error);
+            this.logger.error('MessageBroker connection failed', { error });
         }
     }
 
-    async createTables() {
-        const query = `
-            -- Events table - immutable event log
-            CREATE TABLE IF NOT EXISTS events (
-                id UUID PRIMARY KEY,
-                aggregate_id VARCHAR(255) NOT NULL,
-                aggregate_type VARCHAR(100) NOT NULL,
-                event_type VARCHAR(100) NOT NULL,
-                event_version INTEGER NOT NULL,
-                event_data JSONB NOT NULL,
-                metadata JSONB DEFAULT '{}',
-                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                sequence_number SERIAL
-            );
-
-            -- Snapshots table - for performance optimization
-            CREATE TABLE IF NOT EXISTS snapshots (
-                aggregate_id VARCHAR(255) PRIMARY KEY,
-                aggregate_type VARCHAR(100) NOT NULL,
-                version INTEGER NOT NULL,
-                data JSONB NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-
-            -- Projections table - read models
-            CREATE TABLE IF NOT EXISTS projections (
-                id UUID PRIMARY KEY,
-                projection_name VARCHAR(100) NOT NULL,
-                aggregate_id VARCHAR(255) NOT NULL,
-                data JSONB NOT NULL,
-                version INTEGER NOT NULL,
-                last_event_id UUID,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-
-            -- Indexes for performance
-            CREATE INDEX IF NOT EXISTS idx_events_aggregate ON events(aggregate_id, aggregate_type);
-            CREATE INDEX IF NOT EXISTS idx_events_type ON events(event_type);
-            CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp);
-            CREATE INDEX IF NOT EXISTS idx_events_sequence ON events(sequence_number);
-            CREATE INDEX IF NOT EXISTS idx_projections_name_aggregate ON projections(projection_name, aggregate_id);
-        `;
-        await this.db.query(query);
-    }
-
-    setupEventListeners() {
+    async setupEventListeners() {
         // Listen to all domain events for storage
         const eventTypes = [
             'user.created', 'user.login',
-            'order.created', 'order.status_changed', 'order.cancelled',
-            'payment.confirmed', 'payment.failed',
+            'order.created', 'order.status_changed', 'order.cancelled', 'order.items_cancelled', 'order.expired',
+            'payment.confirmed', 'payment.failed', 'payment.refunded',
             'inventory.reserve', 'inventory.restore',
+            'inventory.reserved', 'inventory.reservation_failed',
             'notification.sent', 'notification.failed'
         ];
 
-        eventTypes.forEach(eventType => {
-            this.messageBroker.subscribe(eventType, async (data, metadata) => {
-                await this.storeEvent(eventType, data, metadata);
-            });
-        });
+        // Malformed events are dead-lettered instead of being stored under 'unknown'
+        await Promise.all(eventTypes.map(eventType => this.messageBroker.subscribe(eventType, async (data, metadata) => {
+            await this.storeEvent(eventType, data, metadata);
+        }, { validate: true })));
     }
 
     async storeEvent(eventType, eventData, metadata = {}) {
         try {
-            const eventId = uuidv4();
             const aggregateId = this.extractAggregateId(eventType, eventData);
             const aggregateType = this.extractAggregateType(eventType);
-            
-            // Get current version for this aggregate
-            const versionResult = await this.db.query(
-                'SELECT COALESCE(MAX(event_version), 0) as version FROM events WHERE aggregate_id = $1 AND aggregate_type = $2',
-                [aggregateId, aggregateType]
-            );
-            
-            const nextVersion = versionResult.rows[0].version + 1;
-
-            // Store the event
-            await this.db.query(
-                `INSERT INTO events (id, aggregate_id, aggregate_type, event_type, event_version, event_data, metadata) 
-                 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                [
-                    eventId,
-                    aggregateId,
-                    aggregateType,
-                    eventType,
-                    nextVersion,
-                    JSON.stringify(eventData),
-                    JSON.stringify({
-                        ...metadata,
-                        source: 'message-broker',
-                        correlationId: metadata.id
-                    })
-                ]
-            );
 
-            console.log(`[EventStore] Stored event: ${eventType} for ${aggregateType}:${aggregateId}`);
+            // Delivery is at-least-once; a message already stored is acked without a new event
+            const stored = await this.appendEvents(aggregateType, aggregateId, [{
+                eventType,
+                data: eventData,
+                messageId: metadata.id,
+                metadata: {
+                    ...metadata,
+                    source: 'message-broker',
+                    correlationId: metadata.correlationId || metadata.id
+                }
+            }]);
+            if (stored.length === 0) {
+                this.logger.info('Duplicate message ignored', { eventType, messageId: metadata.id });
+            }
+        } catch (error) {
+            this.logger.error('Store event error', { eventType, messageId: metadata.id, error });
+            // Let the broker retry and eventually dead-letter the message
+            throw error;
+        }
+    }
 
-            // Update projections
-            await this.updateProjections(eventType, eventData, eventId, aggregateId, aggregateType);
+    // Appends to the aggregate's stream (see EventLog.append) and announces each event
+    // with event.stored; projections and live streams pick the events up from the log.
+    // Resolves once the append has committed: failing the caller after that would get
+    // the events retried and stored twice.
+    async appendEvents(aggregateType, aggregateId, events, options = {}) {
+        const stored = await this.eventLog.append(aggregateType, aggregateId, events, options);
+        if (stored.length === 0) {
+            return stored;
+        }
 
-            // Publish event stored notification
-            await this.messageBroker.publish('event.stored', {
-                eventId,
-                eventType,
-                aggregateId,
+        for (const event of stored) {
+            this.logger.info('Stored event', {
+                eventType: event.event_type,
                 aggregateType,
-                version: nextVersion
+                aggregateId,
+                version: event.event_version
             });
 
+            try {
+                await this.messageBroker.publish('event.stored', {
+                    eventId: event.id,
+                    eventType: event.event_type,
+                    aggregateId,
+                    aggregateType,
+                    version: event.event_version
+                });
+            } catch (error) {
+                this.logger.warn('Failed to announce stored event', { eventId: event.id, error });
+            }
+        }
+
+        this.projections.run();
+
+        // The events are stored either way; a missed snapshot is taken on a later append
+        try {
+            await this.aggregates.onAppended(
+                aggregateType,
+                aggregateId,
+                stored[0].event_version - 1,
+                stored[stored.length - 1].event_version
+            );
         } catch (error) {
-            console.error('[EventStore] Store event error:', error);
+            this.logger.warn('Snapshot failed', { aggregateType, aggregateId, error });
         }
+        return stored;
     }
 
     extractAggregateId(eventType, eventData) {
@@ -167,10 +175,15 @@ class EventStore extends BaseService {
             'order.created': (data) => `order-${data.orderId}`,
             'order.status_changed': (data) => `order-${data.orderId}`,
             'order.cancelled': (data) => `order-${data.orderId}`,
+            'order.items_cancelled': (data) => `order-${data.orderId}`,
+            'order.expired': (data) => `order-${data.orderId}`,
             'payment.confirmed': (data) => `payment-${data.orderId}`,
             'payment.failed': (data) => `payment-${data.orderId}`,
+            'payment.refunded': (data) => `payment-${data.orderId}`,
             'inventory.reserve': (data) => `product-${data.productId}`,
             'inventory.restore': (data) => `product-${data.productId}`,
+            'inventory.reserved': (data) => `product-${data.productId}`,
+            'inventory.reservation_failed': (data) => `product-${data.productId}`,
             'notification.sent': (data) => `notification-${data.notificationId}`,
             'notification.failed': (data) => `notification-${data.notificationId}`
         };
@@ -185,10 +198,15 @@ class EventStore extends BaseService {
             'order.created': 'Order',
             'order.status_changed': 'Order',
             'order.cancelled': 'Order',
+            'order.items_cancelled': 'Order',
+            'order.expired': 'Order',
             'payment.confirmed': 'Payment',
             'payment.failed': 'Payment',
+            'payment.refunded': 'Payment',
             'inventory.reserve': 'Product',
             'inventory.restore': 'Product',
+            'inventory.reserved': 'Product',
+            'inventory.reservation_failed': 'Product',
             'notification.sent': 'Notification',
             'notification.failed': 'Notification'
         };
@@ -196,148 +214,6 @@ class EventStore extends BaseService {
         return typeMap[eventType] || 'Unknown';
     }
 
-    setupProjections() {
-        // User projection
-        this.projections.set('user-summary', {
-            name: 'user-summary',
-            eventTypes: ['user.created', 'user.login'],
-            project: async (eventType, eventData, aggregateId) => {
-                const existing = await this.getProjection('user-summary', aggregateId);
-                
-                switch (eventType) {
-                    case 'user.created':
-                        return {
-                            userId: eventData.userId,
-                            email: eventData.email,
-                            firstName: eventData.firstName,
-                            lastName: eventData.lastName,
-                            createdAt: eventData.timestamp || new Date().toISOString(),
-                            lastLogin: null,
-                            loginCount: 0
-                        };
-                    
-                    case 'user.login':
-                        return {
-                            ...existing,
-                            lastLogin: eventData.timestamp,
-                            loginCount: (existing?.loginCount || 0) + 1
-                        };
-                }
-            }
-        });
-
-        // Order projection
-        this.projections.set('order-summary', {
-            name: 'order-summary',
-            eventTypes: ['order.created', 'order.status_changed', 'order.cancelled'],
-            project: async (eventType, eventData, aggregateId) => {
-                const existing = await this.getProjection('order-summary', aggregateId);
-
-                switch (eventType) {
-                    case 'order.created':
-                        return {
-                            orderId: eventData.orderId,
-                            userId: eventData.userId,
-                            totalAmount: eventData.totalAmount,
-                            status: 'pending',
-                            items: eventData.items,
-                            createdAt: eventData.timestamp,
-                            statusHistory: [{
-                                status: 'pending',
-                                timestamp: eventData.timestamp
-                            }]
-                        };
-                    
-                    case 'order.status_changed':
-                        return {
-                            ...existing,
-                            status: eventData.status,
-                            statusHistory: [
-                                ...(existing?.statusHistory || []),
-                                {
-                                    status: eventData.status,
-                                    timestamp: eventData.timestamp
-                                }
-                            ]
-                        };
-                    
-                    case 'order.cancelled':
-                        return {
-                            ...existing,
-                            status: 'cancelled',
-                            cancelledAt: eventData.timestamp,
-                            statusHistory: [
-                                ...(existing?.statusHistory || []),
-                                {
-                                    status: 'cancelled',
-                                    timestamp: eventData.timestamp
-                                }
-                            ]
-                        };
-                }
-            }
-        });
-
-        // Analytics projection
-        this.projections.set('analytics', {
-            name: 'analytics',
-            eventTypes: ['order.created', 'payment.confirmed', 'user.created'],
-            project: async (eventType, eventData) => {
-                const existing = await this.getProjection('analytics', 'global') || {
-                    totalUsers: 0,
-                    totalOrders: 0,
-                    totalRevenue: 0,
-                    ordersToday: 0,
-                    revenueToday: 0,
-                    lastUpdated: new Date().toISOString()
-                };
-
-                const today = new Date().toDateString();
-                const isToday = new Date(eventData.timestamp).toDateString() === today;
-
-                switch (eventType) {
-                    case 'user.created':
-                        return {
-                            ...existing,
-                            totalUsers: existing.totalUsers + 1,
-                            lastUpdated: new Date().toISOString()
-                        };
-                    
-                    case 'order.created':
-                        return {
-                            ...existing,
-                            totalOrders: existing.totalOrders + 1,
-                            ordersToday: isToday ? existing.ordersToday + 1 : existing.ordersToday,
-                            lastUpdated: new Date().toISOString()
-                        };
-                    
-                    case 'payment.confirmed':
-                        return {
-                            ...existing,
-                            totalRevenue: existing.totalRevenue + eventData.amount,
-                            revenueToday: isToday ? existing.revenueToday + eventData.amount : existing.revenueToday,
-                            lastUpdated: new Date().toISOString()
-                        };
-                }
-            }
-        });
-    }
-
-    async updateProjections(eventType, eventData, eventId, aggregateId, aggregateType) {
-        for (const [projectionName, projection] of this.projections) {
-            if (projection.eventTypes.includes(eventType)) {
-                try {
-                    const projectedData = await projection.project(eventType, eventData, aggregateId);
-                    if (projectedData) {
-                        await this.saveProjection(projectionName, aggregateId, projectedData, eventId);
-                    }
-                } catch (error) {
-                    console.error(`[EventStore] Projection ${projectionName} error:`, error);
-                }
-            }
-        }
-    }
-
     async getProjection(projectionName, aggregateId) {
         try {
             const result = await this.db.query(
@@ -346,33 +222,84 @@ class EventStore extends BaseService {
             );
             return result.rows.length > 0 ? result.rows[0].data : null;
         } catch (error) {
-            console.error('[EventStore] Get projection error:', error);
+            this.logger.error('Get projection error', { error });
             return null;
         }
     }
 
-    async saveProjection(projectionName, aggregateId, data, eventId) {
-        try {
-            const projectionId = uuidv4();
-            await this.db.query(
-                `INSERT INTO projections (id, projection_name, aggregate_id, data, version, last_event_id) 
-                 VALUES ($1, $2, $3, $4, 1, $5)
-                 ON CONFLICT (projection_name, aggregate_id) 
-                 DO UPDATE SET 
-                    data = $4, 
-                    version = projections.version + 1, 
-                    last_event_id = $5, 
-                    updated_at = CURRENT_TIMESTAMP`,
-                [projectionId, projectionName, aggregateId, JSON.stringify(data), eventId]
-            );
-        } catch (error) {
-            console.error('[EventStore] Save projection error:', error);
-        }
-    }
-
     setupRoutes() {
         const router = express.Router();
 
+        // Registered event contracts (declared before /events/:aggregateType/:aggregateId,
+        // which would otherwise match /events/schemas/<type>)
+        router.get('/events/schemas', (req, res) => {
+            const contracts = eventSchemas.list();
+            res.json({ contracts, total: contracts.length });
+        });
+
+        router.get('/events/schemas/:eventType', (req, res) => {
+            if (!eventSchemas.has(req.params.eventType)) {
+                return res.status(404).json({ error: 'Event type not registered' });
+            }
+            res.json(eventSchemas.describe(req.params.eventType));
+        });
+
+        // Live feed of stored events as Server-Sent Events, oldest first. Narrow it with
+        // ?eventTypes=a,b and ?aggregateTypes=Order,Payment. Resumes after the
+        // Last-Event-ID header (sent by EventSource on reconnect), or from
+        // ?fromSequence=<sequence_number>; without either only new events are sent.
+        router.get('/events/stream', async (req, res) => {
+            try {
+                const list = Joi.string().custom(value => value.split(',').map(item => item.trim()).filter(Boolean));
+                const schema = Joi.object({
+                    eventTypes: list.default([]),
+                    aggregateTypes: list.default([]),
+                    fromSequence: Joi.number().integer().min(1)
+                });
+
+                const { error, value } = schema.validate(req.query);
+                if (error) {
+                    return res.status(400).json({ error: error.details[0].message });
+                }
+
+                const lastEventId = req.get('Last-Event-ID');
+                if (lastEventId !== undefined && !/^\d+$/.test(lastEventId)) {
+                    return res.status(400).json({ error: 'Last-Event-ID must be a sequence number' });
+                }
+                if (!this.eventStream.isRunning()) {
+                    return res.status(503).json({ error: 'Event stream is not available yet' });
+                }
+
+                let after = null;
+                if (lastEventId !== undefined) {
+                    after = parseInt(lastEventId);
+                } else if (value.fromSequence !== undefined) {
+                    after = value.fromSequence - 1;
+                }
+
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    Connection: 'keep-alive',
+                    'X-Accel-Buffering': 'no'
+                });
+                res.write('retry: 3000\n\n');
+
+                await this.eventStream.subscribe(res, {
+                    eventTypes: value.eventTypes,
+                    aggregateTypes: value.aggregateTypes,
+                    after
+                });
+            } catch (error) {
+                this.logger.error('Event stream error', { error });
+                if (res.headersSent) {
+                    res.end();
+                } else {
+                    res.status(500).json({ error: 'Internal server error' });
+                }
+            }
+        });
+
         // Get events for an aggregate
         router.get('/events/:aggregateType/:aggregateId', async (req, res) => {
             try {
@@ -396,7 +323,75 @@ class EventStore extends BaseService {
                     }))
                 });
             } catch (error) {
-                console.error('[EventStore] Get events error:', error);
+                this.logger.error('Get events error', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Append a batch of events to an aggregate's stream, all or none. The append
+        // only succeeds if the stream is still at expectedVersion (0 for a new
+        // aggregate, null to skip the check); otherwise 409 with the current version,
+        // so the caller can reload the aggregate and retry.
+        router.post('/events/:aggregateType/:aggregateId', async (req, res) => {
+            try {
+                const { aggregateType, aggregateId } = req.params;
+                const schema = Joi.object({
+                    expectedVersion: Joi.number().integer().min(0).allow(null).required(),
+                    events: Joi.array().items(Joi.object({
+                        eventType: Joi.string().max(100).required(),
+                        data: Joi.object().required(),
+                        metadata: Joi.object().default({})
+                    })).min(1).max(100).required()
+                });
+
+                // Column sizes of events.aggregate_type and aggregate_id
+                if (aggregateType.length > 100 || aggregateId.length > 255) {
+                    return res.status(400).json({ error: 'Aggregate type or id is too long' });
+                }
+
+                const { error, value } = schema.validate(req.body);
+                if (error) {
+                    return res.status(400).json({ error: error.details[0].message });
+                }
+
+                // Registered event types must match their contract; others are stored as given
+                for (const [index, event] of value.events.entries()) {
+                    const invalid = eventSchemas.has(event.eventType) && eventSchemas.check(event.eventType, event.data);
+                    if (invalid) {
+                        return res.status(400).json({ error: invalid.message, index, details: invalid.details });
+                    }
+                }
+
+                const stored = await this.appendEvents(
+                    aggregateType,
+                    aggregateId,
+                    value.events.map(event => ({
+                        ...event,
+                        metadata: { ...event.metadata, source: 'api' }
+                    })),
+                    { expectedVersion: value.expectedVersion }
+                );
+
+                res.status(201).json({
+                    aggregateType,
+                    aggregateId,
+                    version: stored[stored.length - 1].event_version,
+                    events: stored.map(event => ({
+                        eventId: event.id,
+                        eventType: event.event_type,
+                        version: event.event_version,
+                        sequenceNumber: event.sequence_number
+                    }))
+                });
+            } catch (error) {
+                if (error instanceof ConcurrencyError) {
+                    return res.status(409).json({
+                        error: 'Aggregate was modified concurrently',
+                        expectedVersion: error.expectedVersion,
+                        currentVersion: error.currentVersion
+                    });
+                }
+                this.logger.error('Append events error', { ...req.params, error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -441,7 +436,96 @@ class EventStore extends BaseService {
                     }
                 });
             } catch (error) {
-                console.error('[EventStore] Get all events error:', error);
+                this.logger.error('Get all events error', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Reducers available for rebuilding aggregate state
+        router.get('/aggregates', (req, res) => {
+            res.json({ reducers: this.aggregates.list(), snapshotInterval: this.aggregates.snapshotInterval });
+        });
+
+        // Current state of an aggregate: its latest snapshot plus the events after it.
+        // ?snapshot=false replays the whole stream instead.
+        router.get('/aggregates/:aggregateType/:aggregateId', async (req, res) => {
+            try {
+                const { aggregateType, aggregateId } = req.params;
+                if (!this.aggregates.has(aggregateType)) {
+                    return res.status(404).json({ error: 'No reducer registered for this aggregate type' });
+                }
+
+                const aggregate = await this.aggregates.load(aggregateType, aggregateId, {
+                    useSnapshot: req.query.snapshot !== 'false'
+                });
+                if (aggregate.version === 0) {
+                    return res.status(404).json({ error: 'Aggregate not found' });
+                }
+
+                res.json({ aggregateType, aggregateId, ...aggregate });
+            } catch (error) {
+                this.logger.error('Load aggregate error', { ...req.params, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Drop the snapshots of an aggregate type (or of one aggregate with ?aggregateId=),
+        // e.g. after a reducer fix that didn't bump its version
+        router.delete('/aggregates/:aggregateType/snapshots', async (req, res) => {
+            try {
+                const { aggregateType } = req.params;
+                if (!this.aggregates.has(aggregateType)) {
+                    return res.status(404).json({ error: 'No reducer registered for this aggregate type' });
+                }
+
+                const deleted = await this.aggregates.invalidate(aggregateType, req.query.aggregateId || null);
+                res.json({ aggregateType, deleted });
+            } catch (error) {
+                this.logger.error('Invalidate snapshots error', { ...req.params, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Rebuild the snapshots of an aggregate type from the full history with the
+        // current reducer
+        router.post('/aggregates/:aggregateType/snapshots/regenerate', async (req, res) => {
+            try {
+                const { aggregateType } = req.params;
+                if (!this.aggregates.has(aggregateType)) {
+                    return res.status(404).json({ error: 'No reducer registered for this aggregate type' });
+                }
+
+                const regenerated = await this.aggregates.regenerate(aggregateType);
+                res.json({ message: 'Snapshots regenerated', aggregateType, regenerated });
+            } catch (error) {
+                this.logger.error('Regenerate snapshots error', { ...req.params, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Loaded projections: definition, checkpoint, lag behind the event log and
+        // latest rebuild
+        router.get('/projections', async (req, res) => {
+            try {
+                res.json({ projections: await this.projections.status() });
+            } catch (error) {
+                this.logger.error('Get projection status error', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Re-read the projection directory (PROJECTIONS_DIR) on this replica: new
+        // projections are backfilled, changed versions rebuilt, deleted files dropped
+        router.post('/projections/reload', async (req, res) => {
+            try {
+                if (!this.eventStream.isRunning()) {
+                    return res.status(503).json({ error: 'Event store is not ready yet' });
+                }
+
+                // Files that failed to load are listed in `errors`; the rest are applied
+                res.json(await this.projections.load());
+            } catch (error) {
+                this.logger.error('Reload projections error', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -462,7 +546,7 @@ class EventStore extends BaseService {
                     data: projection
                 });
             } catch (error) {
-                console.error('[EventStore] Get projection error:', error);
+                this.logger.error('Get projection error', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -482,56 +566,70 @@ class EventStore extends BaseService {
                     projections: result.rows
                 });
             } catch (error) {
-                console.error('[EventStore] Get projections error:', error);
+                this.logger.error('Get projections error', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
 
-        // Replay events to rebuild projections
-        router.post('/projections/:projectionName/replay', async (req, res) => {
+        // Rebuild a projection from the whole event log. Runs in the background into a
+        // shadow table that replaces the live rows once it has caught up; follow it with
+        // GET /projection-rebuilds/:jobId. /replay is the endpoint's former name.
+        router.post(['/projections/:projectionName/rebuild', '/projections/:projectionName/replay'], async (req, res) => {
             try {
                 const { projectionName } = req.params;
-                const fromSequence = parseInt(req.body.fromSequence) || 1;
-
-                const projection = this.projections.get(projectionName);
-                if (!projection) {
+                if (!this.projections.has(projectionName)) {
                     return res.status(404).json({ error: 'Projection not found' });
                 }
+                if (!this.eventStream.isRunning()) {
+                    return res.status(503).json({ error: 'Event store is not ready yet' });
+                }
 
-                // Get events to replay
-                const eventsResult = await this.db.query(
-                    `SELECT * FROM events 
-                     WHERE sequence_number >= $1 AND event_type = ANY($2)
-                     ORDER BY sequence_number ASC`,
-                    [fromSequence, projection.eventTypes]
-                );
+                const job = await this.projections.rebuild(projectionName);
+                res.status(202).json({ message: 'Projection rebuild started', job });
+            } catch (error) {
+                if (error instanceof RebuildInProgressError) {
+                    return res.status(409).json({ error: error.message, jobId: error.jobId });
+                }
+                this.logger.error('Rebuild projection error', { projectionName: req.params.projectionName, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
 
-                let replayedCount = 0;
-                for (const event of eventsResult.rows) {
-                    const projectedData = await projection.project(
-                        event.event_type, 
-                        event.event_data, 
-                        event.aggregate_id
-                    );
-                    
-                    if (projectedData) {
-                        await this.saveProjection(
-                            projectionName, 
-                            event.aggregate_id, 
-                            projectedData, 
-                            event.id
-                        );
-                        replayedCount++;
-                    }
+        // Job ids are UUIDs; anything else can't name a rebuild
+        router.param('jobId', (req, res, next, jobId) => {
+            if (Joi.string().uuid().validate(jobId).error) {
+                return res.status(404).json({ error: 'Rebuild not found' });
+            }
+            next();
+        });
+
+        // Progress of a rebuild
+        router.get('/projection-rebuilds/:jobId', async (req, res) => {
+            try {
+                const job = await this.projections.getRebuild(req.params.jobId);
+                if (!job) {
+                    return res.status(404).json({ error: 'Rebuild not found' });
                 }
+                res.json({ job });
+            } catch (error) {
+                this.logger.error('Get rebuild error', { jobId: req.params.jobId, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
 
-                res.json({
-                    message: 'Projection replay completed',
-                    projectionName,
-                    eventsReplayed: replayedCount
-                });
+        // Stop a running rebuild; the live projection is left as it was
+        router.post('/projection-rebuilds/:jobId/cancel', async (req, res) => {
+            try {
+                const job = await this.projections.cancelRebuild(req.params.jobId);
+                if (!job) {
+                    return res.status(404).json({ error: 'Rebuild not found' });
+                }
+                if (job.status !== 'running') {
+                    return res.status(409).json({ error: `Rebuild is already ${job.status}`, job });
+                }
+                res.status(202).json({ message: 'Rebuild cancellation requested', job });
             } catch (error) {
-                console.error('[EventStore] Replay projection error:', error);
+                this.logger.error('Cancel rebuild error', { jobId: req.params.jobId, error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -561,15 +659,22 @@ class EventStore extends BaseService {
                 res.json({
                     events: eventsStats.rows[0],
                     projections: projectionsStats.rows,
-                    availableProjections: Array.from(this.projections.keys())
+                    availableProjections: this.projections.names()
                 });
             } catch (error) {
-                console.error('[EventStore] Get stats error:', error);
+                this.logger.error('Get stats error', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
 
         this.addRoutes(router);
+        this.addRoutes(createDeadLetterRouter(this.messageBroker, this.logger));
+    }
+
+    // Live streams never end on their own, so close them before draining HTTP
+    closeServer() {
+        this.eventStream.stop();
+        return super.closeServer();
     }
 }
 
@@ -0,0 +1,55 @@
+// Baseline schema. Uses IF NOT EXISTS so databases created before migrations
+// were introduced are adopted without changes.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            -- Events table - immutable event log
+            CREATE TABLE IF NOT EXISTS events (
+                id UUID PRIMARY KEY,
+                aggregate_id VARCHAR(255) NOT NULL,
+                aggregate_type VARCHAR(100) NOT NULL,
+                event_type VARCHAR(100) NOT NULL,
+                event_version INTEGER NOT NULL,
+                event_data JSONB NOT NULL,
+                metadata JSONB DEFAULT '{}',
+                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                sequence_number SERIAL
+            );
+
+            -- Snapshots table - for performance optimization
+            CREATE TABLE IF NOT EXISTS snapshots (
+                aggregate_id VARCHAR(255) PRIMARY KEY,
+                aggregate_type VARCHAR(100) NOT NULL,
+                version INTEGER NOT NULL,
+                data JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Projections table - read models
+            CREATE TABLE IF NOT EXISTS projections (
+                id UUID PRIMARY KEY,
+                projection_name VARCHAR(100) NOT NULL,
+                aggregate_id VARCHAR(255) NOT NULL,
+                data JSONB NOT NULL,
+                version INTEGER NOT NULL,
+                last_event_id UUID,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Indexes for performance
+            CREATE INDEX IF NOT EXISTS idx_events_aggregate ON events(aggregate_id, aggregate_type);
+            CREATE INDEX IF NOT EXISTS idx_events_type ON events(event_type);
+            CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp);
+            CREATE INDEX IF NOT EXISTS idx_events_sequence ON events(sequence_number);
+            CREATE INDEX IF NOT EXISTS idx_projections_name_aggregate ON projections(projection_name, aggregate_id);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS projections;
+            DROP TABLE IF EXISTS snapshots;
+            DROP TABLE IF EXISTS events;
+        `);
+    }
+};
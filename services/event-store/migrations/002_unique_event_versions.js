@@ -0,0 +1,29 @@
+// One event per (aggregate, version), so concurrent appends can't both claim the
+// same version. Streams already holding duplicates are renumbered first, keeping
+// the order the events were stored in.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            UPDATE events e
+            SET event_version = renumbered.version
+            FROM (
+                SELECT id, ROW_NUMBER() OVER (
+                    PARTITION BY aggregate_type, aggregate_id
+                    ORDER BY event_version, sequence_number
+                ) AS version
+                FROM events
+            ) renumbered
+            WHERE e.id = renumbered.id AND e.event_version <> renumbered.version;
+
+            DROP INDEX IF EXISTS idx_events_aggregate;
+            CREATE UNIQUE INDEX idx_events_aggregate_version ON events(aggregate_type, aggregate_id, event_version);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP INDEX IF EXISTS idx_events_aggregate_version;
+            CREATE INDEX IF NOT EXISTS idx_events_aggregate ON events(aggregate_id, aggregate_type);
+        `);
+    }
+};
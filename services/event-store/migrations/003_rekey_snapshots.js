@@ -0,0 +1,34 @@
+// Snapshots were keyed by aggregate_id alone and never written. They are now keyed
+// by (aggregate_type, aggregate_id) and record the version of the reducer that
+// produced them, so a changed reducer doesn't load state built by the old one.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS snapshots;
+
+            CREATE TABLE snapshots (
+                aggregate_type VARCHAR(100) NOT NULL,
+                aggregate_id VARCHAR(255) NOT NULL,
+                version INTEGER NOT NULL,
+                reducer_version INTEGER NOT NULL,
+                data JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (aggregate_type, aggregate_id)
+            );
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS snapshots;
+
+            CREATE TABLE snapshots (
+                aggregate_id VARCHAR(255) PRIMARY KEY,
+                aggregate_type VARCHAR(100) NOT NULL,
+                version INTEGER NOT NULL,
+                data JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    }
+};
@@ -0,0 +1,58 @@
+// Projections are now updated from the event log in sequence_number order, each
+// remembering the last sequence_number it processed, and rebuilt in the background
+// into a shadow table. Also adds the unique index that saving a projection row
+// (ON CONFLICT (projection_name, aggregate_id)) always relied on; duplicate rows
+// are dropped first, keeping the most recently updated one.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            DELETE FROM projections p
+            USING projections newer
+            WHERE p.projection_name = newer.projection_name
+              AND p.aggregate_id = newer.aggregate_id
+              AND (p.updated_at, p.id) < (newer.updated_at, newer.id);
+
+            DROP INDEX IF EXISTS idx_projections_name_aggregate;
+            CREATE UNIQUE INDEX idx_projections_name_aggregate ON projections(projection_name, aggregate_id);
+
+            -- Last event applied to each projection's rows in target_table ('projections',
+            -- or the shadow table of a running rebuild)
+            CREATE TABLE projection_checkpoints (
+                projection_name VARCHAR(100) NOT NULL,
+                target_table VARCHAR(63) NOT NULL,
+                sequence_number INTEGER NOT NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (projection_name, target_table)
+            );
+
+            CREATE TABLE projection_rebuilds (
+                id UUID PRIMARY KEY,
+                projection_name VARCHAR(100) NOT NULL,
+                shadow_table VARCHAR(63) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'running',
+                target_sequence INTEGER NOT NULL,
+                processed_sequence INTEGER NOT NULL DEFAULT 0,
+                events_processed INTEGER NOT NULL DEFAULT 0,
+                cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+                error TEXT,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                finished_at TIMESTAMP
+            );
+
+            -- At most one rebuild per projection at a time, across replicas
+            CREATE UNIQUE INDEX idx_projection_rebuilds_running ON projection_rebuilds(projection_name)
+                WHERE status = 'running';
+            CREATE INDEX idx_projection_rebuilds_name ON projection_rebuilds(projection_name, started_at);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS projection_rebuilds;
+            DROP TABLE IF EXISTS projection_checkpoints;
+            DROP INDEX IF EXISTS idx_projections_name_aggregate;
+            CREATE INDEX IF NOT EXISTS idx_projections_name_aggregate ON projections(projection_name, aggregate_id);
+        `);
+    }
+};
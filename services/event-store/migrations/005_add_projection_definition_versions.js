@@ -0,0 +1,17 @@
+// Projection definitions are loaded from files and carry a version; the version
+// the live rows were built with is kept so a changed definition gets rebuilt
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE projection_checkpoints ADD COLUMN definition_version INTEGER NOT NULL DEFAULT 1;
+            ALTER TABLE projection_rebuilds ADD COLUMN definition_version INTEGER NOT NULL DEFAULT 1;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE projection_rebuilds DROP COLUMN definition_version;
+            ALTER TABLE projection_checkpoints DROP COLUMN definition_version;
+        `);
+    }
+};
@@ -0,0 +1,30 @@
+// Events consumed from the broker keep the id of the message they came from, so a
+// redelivered message is recognised instead of being stored again. Existing events
+// are backfilled from metadata.id; where a message was already stored more than
+// once, only its first copy gets the id.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE events ADD COLUMN message_id VARCHAR(255);
+
+            UPDATE events e
+            SET message_id = first.message_id
+            FROM (
+                SELECT DISTINCT ON (metadata->>'id') id, metadata->>'id' AS message_id
+                FROM events
+                WHERE metadata->>'source' = 'message-broker' AND metadata->>'id' IS NOT NULL
+                ORDER BY metadata->>'id', sequence_number
+            ) first
+            WHERE e.id = first.id;
+
+            CREATE UNIQUE INDEX idx_events_message_id ON events(message_id) WHERE message_id IS NOT NULL;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP INDEX IF EXISTS idx_events_message_id;
+            ALTER TABLE events DROP COLUMN message_id;
+        `);
+    }
+};
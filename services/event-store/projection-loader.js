@@ -0,0 +1,125 @@
+const fs = require('fs/promises');
+const path = require('path');
+const Joi = require('joi');
+
+// Declarative projection, for read models that only copy, count and collect event
+// fields. Values are literals, or '$'-paths into the event ($data.orderId,
+// $timestamp, $aggregateId...); objects and arrays are resolved recursively.
+//   {
+//     "name": "order-totals", "version": 1, "eventTypes": ["order.created"],
+//     "key": "$data.userId",                  // row per value; default $aggregateId
+//     "initialState": { "orders": 0 },
+//     "handlers": {
+//       "order.created": {
+//         "set": { "lastOrderAt": "$timestamp" },
+//         "increment": { "orders": 1, "spent": "$data.totalAmount" },
+//         "append": { "orderIds": "$data.orderId" }
+//       }
+//     }
+//   }
+const specSchema = Joi.object({
+    name: Joi.string().pattern(/^[a-z0-9][a-z0-9-]*$/).max(100).required(),
+    version: Joi.number().integer().min(1).default(1),
+    enabled: Joi.boolean().default(true),
+    description: Joi.string(),
+    eventTypes: Joi.array().items(Joi.string()).min(1).unique().required(),
+    key: Joi.string().default('$aggregateId'),
+    initialState: Joi.object().default({}),
+    handlers: Joi.object().pattern(Joi.string(), Joi.object({
+        set: Joi.object(),
+        increment: Joi.object().pattern(/./, Joi.alternatives(Joi.number(), Joi.string().pattern(/^\$/))),
+        append: Joi.object()
+    }).min(1)).min(1).required()
+}).custom((spec, helpers) => {
+    const unknown = Object.keys(spec.handlers).filter(eventType => !spec.eventTypes.includes(eventType));
+    return unknown.length > 0
+        ? helpers.message(`handlers for event types not in eventTypes: ${unknown.join(', ')}`)
+        : spec;
+});
+
+function resolve(value, event) {
+    if (typeof value === 'string' && value.startsWith('$')) {
+        return value.slice(1).split('.').reduce((current, field) => current?.[field], event);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => resolve(item, event));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, resolve(item, event)]));
+    }
+    return value;
+}
+
+function compileSpec(spec) {
+    return {
+        name: spec.name,
+        version: spec.version,
+        enabled: spec.enabled,
+        description: spec.description,
+        eventTypes: spec.eventTypes,
+        spec,
+        key: event => {
+            const key = resolve(spec.key, event);
+            return key === undefined || key === null ? null : String(key);
+        },
+        project(state, event) {
+            const handler = spec.handlers[event.eventType];
+            if (!handler) {
+                return undefined;
+            }
+
+            const next = { ...(state || structuredClone(spec.initialState)) };
+            for (const [field, value] of Object.entries(handler.set || {})) {
+                next[field] = resolve(value, event);
+            }
+            for (const [field, value] of Object.entries(handler.increment || {})) {
+                next[field] = (Number(next[field]) || 0) + (Number(resolve(value, event)) || 0);
+            }
+            for (const [field, value] of Object.entries(handler.append || {})) {
+                next[field] = [...(next[field] || []), resolve(value, event)];
+            }
+            return next;
+        }
+    };
+}
+
+// Reads every projection in `directory`: *.js modules exporting a definition
+// ({ name, version?, eventTypes, key?, project }, see projection-manager.js) and
+// *.json specs. A file that fails to load is reported in `errors` and skipped, so
+// one bad file doesn't take the other projections down.
+async function loadProjections(directory) {
+    const definitions = [];
+    const errors = [];
+
+    const files = (await fs.readdir(directory)).filter(file => /\.(js|json)$/.test(file)).sort();
+    for (const file of files) {
+        const source = path.join(directory, file);
+        try {
+            let definition;
+            if (file.endsWith('.json')) {
+                const { error, value } = specSchema.validate(JSON.parse(await fs.readFile(source, 'utf8')));
+                if (error) {
+                    throw new Error(error.details[0].message);
+                }
+                definition = compileSpec(value);
+            } else {
+                // Reloads pick up edited modules
+                delete require.cache[require.resolve(source)];
+                definition = { version: 1, enabled: true, ...require(source) };
+            }
+
+            if (definitions.some(loaded => loaded.name === definition.name)) {
+                throw new Error(`duplicate projection name ${definition.name}`);
+            }
+            if (definition.enabled) {
+                definitions.push({ ...definition, source: file });
+            }
+        } catch (error) {
+            errors.push({ file, error: error.message });
+        }
+    }
+
+    return { definitions, errors };
+}
+
+module.exports = { loadProjections, compileSpec };
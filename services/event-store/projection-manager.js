@@ -0,0 +1,558 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../../shared/logger');
+const { loadProjections } = require('./projection-loader');
+
+const LIVE_TABLE = 'projections';
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+class RebuildInProgressError extends Error {
+    constructor(projectionName, jobId) {
+        super(`Projection ${projectionName} is already being rebuilt`);
+        this.name = 'RebuildInProgressError';
+        this.projectionName = projectionName;
+        this.jobId = jobId;
+    }
+}
+
+// Keeps the read models in `projections` up to date. Each projection is a definition
+//   { name, version?, eventTypes, key?(event), project(state, event) }
+// where project returns the row's next state (undefined for no change) from its
+// current state (null for a new row); key picks the row, by default the event's
+// aggregate. Bump version when project changes and the rows are rebuilt. Definitions
+// are loaded from options.directory (see projection-loader.js).
+//
+// Events are applied in sequence_number order, up to the event stream's gap-safe
+// position, and each projection checkpoints the last one it applied in the same
+// transaction as its rows, so no event is applied twice or skipped.
+//
+// A rebuild replays the whole log into a shadow table in the background, then swaps
+// the rows in while holding the projection's checkpoint, so readers never see a
+// half-built projection.
+class ProjectionManager {
+    constructor(db, eventStream, options = {}) {
+        this.db = db;
+        this.eventStream = eventStream;
+        this.pollInterval = options.pollInterval || eventStream.pollInterval;
+        this.batchSize = options.batchSize || 500;
+        // A running rebuild not heard from for this long is taken to have died with its replica
+        this.staleAfterMs = options.staleAfterMs || 60000;
+        this.directory = options.directory || null;
+        this.logger = (options.logger || logger).child({ component: 'ProjectionManager' });
+        this.definitions = new Map();
+        this.rebuilds = new Map();
+        this.timer = null;
+        this.running = null;
+        this.runAgain = false;
+        this.stopping = false;
+    }
+
+    register(definition) {
+        if (!definition.name || !Array.isArray(definition.eventTypes) || typeof definition.project !== 'function') {
+            throw new Error(`Projection ${definition.name} must define name, eventTypes and project`);
+        }
+        this.definitions.set(definition.name, { version: 1, ...definition });
+        return this;
+    }
+
+    has(name) {
+        return this.definitions.has(name);
+    }
+
+    get(name) {
+        return this.definitions.get(name) || null;
+    }
+
+    names() {
+        return Array.from(this.definitions.keys());
+    }
+
+    // Live projections are updated from here on, even if activating some failed;
+    // those stay as they are until the next reload
+    async start() {
+        this.timer = setInterval(() => this.run(), this.pollInterval);
+        this.timer.unref();
+
+        await this.failStaleRebuilds()
+            .catch(error => this.logger.error('Checking for abandoned rebuilds failed', { error }));
+        if (this.directory) {
+            await this.load()
+                .catch(error => this.logger.error('Loading projections failed', { directory: this.directory, error }));
+        }
+        for (const definition of this.definitions.values()) {
+            if (!definition.source) {
+                await this.activate(definition).catch(error => this.logger.error('Projection activation failed', {
+                    projection: definition.name,
+                    error
+                }));
+            }
+        }
+        this.logger.info('Projections started', { projections: this.names() });
+    }
+
+    // Interrupts local rebuilds (they are marked failed) and waits for running work
+    async stop() {
+        this.stopping = true;
+        clearInterval(this.timer);
+        this.timer = null;
+        await Promise.all([this.running, ...this.rebuilds.values()]);
+    }
+
+    // (Re)reads the projection directory. New projections are backfilled and ones whose
+    // version changed are rebuilt; ones whose file is gone stop being updated, keeping
+    // their rows. Affects only this replica.
+    async load() {
+        const { definitions, errors } = await loadProjections(this.directory);
+
+        const names = new Set(definitions.map(definition => definition.name));
+        const removed = this.names().filter(name => this.definitions.get(name).source && !names.has(name));
+        removed.forEach(name => this.definitions.delete(name));
+
+        const loaded = [];
+        const rebuilding = [];
+        for (const definition of definitions) {
+            try {
+                this.register(definition);
+            } catch (error) {
+                errors.push({ file: definition.source, error: error.message });
+                continue;
+            }
+            loaded.push(definition.name);
+
+            // One projection failing to start its backfill or rebuild doesn't hold up the others
+            try {
+                const reason = await this.activate(this.definitions.get(definition.name));
+                if (reason) {
+                    rebuilding.push({ name: definition.name, reason });
+                }
+            } catch (error) {
+                errors.push({ file: definition.source, error: `activation failed: ${error.message}` });
+            }
+        }
+
+        errors.forEach(({ file, error }) => this.logger.error('Projection failed to load', { file, error }));
+        this.logger.info('Projections loaded', { loaded, removed, rebuilding });
+        return { loaded, removed, rebuilding, errors };
+    }
+
+    // Starts a rebuild when the live rows don't match the definition: 'backfill' for
+    // a projection never built, 'version_changed' when built by another version.
+    // Resolves with the reason, or null when the rows are current.
+    async activate(definition) {
+        const result = await this.db.query(
+            'SELECT definition_version FROM projection_checkpoints WHERE projection_name = $1 AND target_table = $2',
+            [definition.name, LIVE_TABLE]
+        );
+        const checkpoint = result.rows[0];
+        if (checkpoint && checkpoint.definition_version === definition.version) {
+            return null;
+        }
+
+        if (!checkpoint) {
+            // Rows written before checkpoints existed already reflect the whole log
+            const adopted = await this.db.query(
+                `INSERT INTO projection_checkpoints (projection_name, target_table, sequence_number, definition_version)
+                 SELECT $1::varchar, $2::varchar, $3::integer, $4::integer
+                 WHERE EXISTS (SELECT 1 FROM projections WHERE projection_name = $1)
+                 ON CONFLICT (projection_name, target_table) DO NOTHING`,
+                [definition.name, LIVE_TABLE, this.eventStream.cursor, definition.version]
+            );
+            if (adopted.rowCount > 0) {
+                return null;
+            }
+        }
+
+        try {
+            await this.rebuild(definition.name);
+        } catch (error) {
+            if (!(error instanceof RebuildInProgressError)) {
+                throw error;
+            }
+        }
+        return checkpoint ? 'version_changed' : 'backfill';
+    }
+
+    // Brings every projection up to the event stream's position. Also called after
+    // local appends; a run requested while one is going happens right after it.
+    run() {
+        if (!this.timer) {
+            return Promise.resolve();
+        }
+        if (this.running) {
+            this.runAgain = true;
+            return this.running;
+        }
+
+        this.running = this.catchUp()
+            .catch(error => this.logger.error('Projection catch-up failed', { error }))
+            .finally(() => {
+                this.running = null;
+                if (this.runAgain) {
+                    this.runAgain = false;
+                    this.run();
+                }
+            });
+        return this.running;
+    }
+
+    async catchUp() {
+        await this.eventStream.poll();
+        const upTo = this.eventStream.cursor;
+
+        for (const definition of this.definitions.values()) {
+            try {
+                let batch;
+                do {
+                    batch = await this.db.withTransaction(
+                        client => this.processBatch(client, definition, LIVE_TABLE, upTo)
+                    );
+                } while (batch && batch.checkpoint < upTo && !this.stopping);
+            } catch (error) {
+                // Retried from its checkpoint on the next run
+                this.logger.error('Projection update failed', { projection: definition.name, error });
+            }
+        }
+    }
+
+    // Applies the next batch of events after the checkpoint of (definition, table), up to
+    // sequence upTo, and moves the checkpoint. Resolves with { checkpoint, processed },
+    // or null for a projection still being backfilled (no live checkpoint yet).
+    async processBatch(client, definition, table, upTo) {
+        const current = await client.query(
+            `SELECT sequence_number FROM projection_checkpoints
+             WHERE projection_name = $1 AND target_table = $2
+             FOR UPDATE`,
+            [definition.name, table]
+        );
+        if (current.rows.length === 0) {
+            return null;
+        }
+        const from = current.rows[0].sequence_number;
+        if (from >= upTo) {
+            return { checkpoint: from, processed: 0 };
+        }
+
+        const result = await client.query(
+            `SELECT * FROM events
+             WHERE sequence_number > $1 AND sequence_number <= $2 AND event_type = ANY($3)
+             ORDER BY sequence_number
+             LIMIT $4`,
+            [from, upTo, definition.eventTypes, this.batchSize]
+        );
+        const checkpoint = result.rows.length === this.batchSize
+            ? result.rows[result.rows.length - 1].sequence_number
+            : upTo;
+
+        // Rows touched by the batch, read once and written once
+        const rows = new Map();
+        for (const row of result.rows) {
+            const event = {
+                eventId: row.id,
+                sequenceNumber: row.sequence_number,
+                eventType: row.event_type,
+                aggregateType: row.aggregate_type,
+                aggregateId: row.aggregate_id,
+                data: row.event_data,
+                metadata: row.metadata,
+                timestamp: row.timestamp.toISOString()
+            };
+            const key = definition.key ? definition.key(event) : event.aggregateId;
+            if (key === null || key === undefined) {
+                continue;
+            }
+
+            if (!rows.has(key)) {
+                rows.set(key, { state: await this.readRow(client, table, definition.name, key), eventId: null });
+            }
+            const entry = rows.get(key);
+
+            try {
+                const next = await definition.project(entry.state, event);
+                if (next !== undefined) {
+                    entry.state = next;
+                    entry.eventId = row.id;
+                }
+            } catch (error) {
+                // A bad event must not hold the projection back forever
+                this.logger.error('Projection error', {
+                    projection: definition.name,
+                    eventId: row.id,
+                    sequence: row.sequence_number,
+                    error
+                });
+            }
+        }
+
+        for (const [key, { state, eventId }] of rows) {
+            if (eventId) {
+                await this.writeRow(client, table, definition.name, key, state, eventId);
+            }
+        }
+
+        await client.query(
+            `UPDATE projection_checkpoints SET sequence_number = $3, updated_at = CURRENT_TIMESTAMP
+             WHERE projection_name = $1 AND target_table = $2`,
+            [definition.name, table, checkpoint]
+        );
+        return { checkpoint, processed: result.rows.length };
+    }
+
+    async readRow(client, table, projectionName, aggregateId) {
+        const result = await client.query(
+            `SELECT data FROM ${table} WHERE projection_name = $1 AND aggregate_id = $2`,
+            [projectionName, aggregateId]
+        );
+        return result.rows.length > 0 ? result.rows[0].data : null;
+    }
+
+    async writeRow(client, table, projectionName, aggregateId, data, eventId) {
+        await client.query(
+            `INSERT INTO ${table} (id, projection_name, aggregate_id, data, version, last_event_id)
+             VALUES ($1, $2, $3, $4, 1, $5)
+             ON CONFLICT (projection_name, aggregate_id) DO UPDATE SET
+                data = EXCLUDED.data,
+                version = ${table}.version + 1,
+                last_event_id = EXCLUDED.last_event_id,
+                updated_at = CURRENT_TIMESTAMP`,
+            [uuidv4(), projectionName, aggregateId, JSON.stringify(data), eventId]
+        );
+    }
+
+    // Definition, checkpoint, lag and latest rebuild of every projection. A projection
+    // without a checkpoint is still being backfilled.
+    async status() {
+        const [checkpoints, rebuilds] = await Promise.all([
+            this.db.query(
+                `SELECT projection_name, sequence_number, definition_version, updated_at
+                 FROM projection_checkpoints WHERE target_table = $1`,
+                [LIVE_TABLE]
+            ),
+            this.db.query(
+                `SELECT DISTINCT ON (projection_name) * FROM projection_rebuilds
+                 ORDER BY projection_name, started_at DESC`
+            )
+        ]);
+        const position = this.eventStream.cursor;
+
+        return this.names().map(name => {
+            const checkpoint = checkpoints.rows.find(row => row.projection_name === name);
+            const rebuild = rebuilds.rows.find(row => row.projection_name === name);
+            const definition = this.definitions.get(name);
+            return {
+                name,
+                version: definition.version,
+                description: definition.description || null,
+                source: definition.source || null,
+                eventTypes: definition.eventTypes,
+                // The declarative spec, for projections defined in JSON
+                spec: definition.spec || null,
+                state: checkpoint ? 'live' : 'backfilling',
+                builtWithVersion: checkpoint ? checkpoint.definition_version : null,
+                checkpoint: checkpoint ? checkpoint.sequence_number : null,
+                lag: checkpoint && position !== null ? Math.max(position - checkpoint.sequence_number, 0) : null,
+                updatedAt: checkpoint ? checkpoint.updated_at : null,
+                lastRebuild: rebuild ? this.formatRebuild(rebuild) : null
+            };
+        });
+    }
+
+    // Starts a background rebuild and resolves with its job; throws
+    // RebuildInProgressError when one is already running for the projection
+    async rebuild(projectionName) {
+        const definition = this.definitions.get(projectionName);
+        await this.failStaleRebuilds();
+
+        const jobId = uuidv4();
+        const shadowTable = `projections_rebuild_${jobId.replace(/-/g, '')}`;
+        let job;
+        try {
+            job = await this.db.withTransaction(async (client) => {
+                const result = await client.query(
+                    `INSERT INTO projection_rebuilds (id, projection_name, shadow_table, target_sequence, definition_version)
+                     VALUES ($1, $2, $3, $4, $5)
+                     RETURNING *`,
+                    [jobId, projectionName, shadowTable, this.eventStream.cursor, definition.version]
+                );
+                await client.query(`CREATE TABLE ${shadowTable} (LIKE projections INCLUDING ALL)`);
+                await client.query(
+                    `INSERT INTO projection_checkpoints (projection_name, target_table, sequence_number)
+                     VALUES ($1, $2, 0)`,
+                    [projectionName, shadowTable]
+                );
+                return result.rows[0];
+            });
+        } catch (error) {
+            if (error.code === UNIQUE_VIOLATION) {
+                const running = await this.db.query(
+                    "SELECT id FROM projection_rebuilds WHERE projection_name = $1 AND status = 'running'",
+                    [projectionName]
+                );
+                throw new RebuildInProgressError(projectionName, running.rows[0]?.id);
+            }
+            throw error;
+        }
+
+        this.logger.info('Projection rebuild started', { projection: projectionName, jobId, shadowTable });
+        const running = this.runRebuild(job, definition).finally(() => this.rebuilds.delete(jobId));
+        this.rebuilds.set(jobId, running);
+        return this.formatRebuild(job);
+    }
+
+    async runRebuild(job, definition) {
+        try {
+            for (;;) {
+                const upTo = this.eventStream.cursor;
+                const { checkpoint, cancelRequested } = await this.db.withTransaction(async (client) => {
+                    const batch = await this.processBatch(client, definition, job.shadow_table, upTo);
+                    const progress = await client.query(
+                        `UPDATE projection_rebuilds
+                         SET processed_sequence = $2,
+                             events_processed = events_processed + $3,
+                             target_sequence = GREATEST(target_sequence, $4),
+                             updated_at = CURRENT_TIMESTAMP
+                         WHERE id = $1
+                         RETURNING cancel_requested`,
+                        [job.id, batch.checkpoint, batch.processed, upTo]
+                    );
+                    return { ...batch, cancelRequested: progress.rows[0].cancel_requested };
+                });
+
+                if (cancelRequested) {
+                    return await this.abandonRebuild(job, 'cancelled', null);
+                }
+                if (this.stopping) {
+                    return await this.abandonRebuild(job, 'failed', 'Interrupted by shutdown');
+                }
+                if (checkpoint >= upTo) {
+                    break;
+                }
+            }
+
+            await this.swap(job, definition);
+        } catch (error) {
+            this.logger.error('Projection rebuild failed', { projection: job.projection_name, jobId: job.id, error });
+            await this.abandonRebuild(job, 'failed', error.message)
+                .catch(cleanupError => this.logger.error('Rebuild cleanup failed', { jobId: job.id, error: cleanupError }));
+        }
+    }
+
+    // Holding the live checkpoint stops live updates of the projection (on every
+    // replica) while the shadow applies the last events and replaces the live rows
+    async swap(job, definition) {
+        await this.eventStream.poll();
+
+        await this.db.withTransaction(async (client) => {
+            await client.query(
+                `SELECT 1 FROM projection_checkpoints
+                 WHERE projection_name = $1 AND target_table = $2
+                 FOR UPDATE`,
+                [definition.name, LIVE_TABLE]
+            );
+
+            const upTo = this.eventStream.cursor;
+            let checkpoint;
+            let processed = 0;
+            do {
+                const batch = await this.processBatch(client, definition, job.shadow_table, upTo);
+                checkpoint = batch.checkpoint;
+                processed += batch.processed;
+            } while (checkpoint < upTo);
+
+            await client.query('DELETE FROM projections WHERE projection_name = $1', [definition.name]);
+            await client.query(`INSERT INTO projections SELECT * FROM ${job.shadow_table}`);
+            // A backfilled projection gets its live checkpoint here
+            await client.query(
+                `INSERT INTO projection_checkpoints (projection_name, target_table, sequence_number, definition_version)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (projection_name, target_table) DO UPDATE SET
+                    sequence_number = EXCLUDED.sequence_number,
+                    definition_version = EXCLUDED.definition_version,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [definition.name, LIVE_TABLE, checkpoint, job.definition_version]
+            );
+            await this.dropShadow(client, job);
+            await client.query(
+                `UPDATE projection_rebuilds
+                 SET status = 'completed', processed_sequence = $2, events_processed = events_processed + $3,
+                     target_sequence = GREATEST(target_sequence, $2),
+                     updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [job.id, checkpoint, processed]
+            );
+        });
+
+        this.logger.info('Projection rebuild completed', { projection: definition.name, jobId: job.id });
+    }
+
+    async abandonRebuild(job, status, error) {
+        await this.db.withTransaction(async (client) => {
+            await this.dropShadow(client, job);
+            await client.query(
+                `UPDATE projection_rebuilds
+                 SET status = $2, error = $3, updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND status = 'running'`,
+                [job.id, status, error]
+            );
+        });
+        this.logger.info('Projection rebuild stopped', { projection: job.projection_name, jobId: job.id, status });
+    }
+
+    async dropShadow(client, job) {
+        await client.query(`DROP TABLE IF EXISTS ${job.shadow_table}`);
+        await client.query(
+            'DELETE FROM projection_checkpoints WHERE projection_name = $1 AND target_table = $2',
+            [job.projection_name, job.shadow_table]
+        );
+    }
+
+    async failStaleRebuilds() {
+        const stale = await this.db.query(
+            `SELECT * FROM projection_rebuilds
+             WHERE status = 'running' AND updated_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 millisecond'`,
+            [this.staleAfterMs]
+        );
+        for (const job of stale.rows) {
+            this.logger.warn('Abandoned projection rebuild found', { projection: job.projection_name, jobId: job.id });
+            await this.abandonRebuild(job, 'failed', 'Abandoned: no progress reported');
+        }
+    }
+
+    // Asks a running rebuild to stop; the job notices between batches. Resolves with
+    // the job, or null when there is no such job.
+    async cancelRebuild(jobId) {
+        const result = await this.db.query(
+            `UPDATE projection_rebuilds SET cancel_requested = TRUE, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'running'
+             RETURNING *`,
+            [jobId]
+        );
+        return result.rows[0] ? this.formatRebuild(result.rows[0]) : this.getRebuild(jobId);
+    }
+
+    async getRebuild(jobId) {
+        const result = await this.db.query('SELECT * FROM projection_rebuilds WHERE id = $1', [jobId]);
+        return result.rows[0] ? this.formatRebuild(result.rows[0]) : null;
+    }
+
+    formatRebuild(job) {
+        return {
+            jobId: job.id,
+            projectionName: job.projection_name,
+            status: job.status,
+            cancelRequested: job.cancel_requested,
+            eventsProcessed: job.events_processed,
+            processedSequence: job.processed_sequence,
+            targetSequence: job.target_sequence,
+            progress: job.target_sequence > 0
+                ? Math.min(Math.floor(job.processed_sequence / job.target_sequence * 100), 100)
+                : 100,
+            error: job.error,
+            startedAt: job.started_at,
+            updatedAt: job.updated_at,
+            finishedAt: job.finished_at
+        };
+    }
+}
+
+module.exports = { ProjectionManager, RebuildInProgressError };
@@ -0,0 +1,45 @@
+// System-wide totals of users, orders and revenue
+module.exports = {
+    name: 'analytics',
+    eventTypes: ['order.created', 'payment.confirmed', 'user.created'],
+    // A single row for the whole system
+    key: () => 'global',
+    project(state, { eventType, data: eventData }) {
+        const existing = state || {
+            totalUsers: 0,
+            totalOrders: 0,
+            totalRevenue: 0,
+            ordersToday: 0,
+            revenueToday: 0,
+            lastUpdated: new Date().toISOString()
+        };
+
+        const today = new Date().toDateString();
+        const isToday = new Date(eventData.timestamp).toDateString() === today;
+
+        switch (eventType) {
+            case 'user.created':
+                return {
+                    ...existing,
+                    totalUsers: existing.totalUsers + 1,
+                    lastUpdated: new Date().toISOString()
+                };
+
+            case 'order.created':
+                return {
+                    ...existing,
+                    totalOrders: existing.totalOrders + 1,
+                    ordersToday: isToday ? existing.ordersToday + 1 : existing.ordersToday,
+                    lastUpdated: new Date().toISOString()
+                };
+
+            case 'payment.confirmed':
+                return {
+                    ...existing,
+                    totalRevenue: existing.totalRevenue + eventData.amount,
+                    revenueToday: isToday ? existing.revenueToday + eventData.amount : existing.revenueToday,
+                    lastUpdated: new Date().toISOString()
+                };
+        }
+    }
+};
@@ -0,0 +1,64 @@
+const { removeItems } = require('../aggregate-reducers');
+
+// One row per order: its current status, items and status history
+module.exports = {
+    name: 'order-summary',
+    version: 2,
+    eventTypes: ['order.created', 'order.status_changed', 'order.cancelled', 'order.items_cancelled', 'order.expired'],
+    project(existing, { eventType, data: eventData }) {
+        switch (eventType) {
+            case 'order.created':
+                return {
+                    orderId: eventData.orderId,
+                    userId: eventData.userId,
+                    totalAmount: eventData.totalAmount,
+                    status: 'pending',
+                    items: eventData.items,
+                    createdAt: eventData.timestamp,
+                    statusHistory: [{
+                        status: 'pending',
+                        timestamp: eventData.timestamp
+                    }]
+                };
+
+            case 'order.status_changed':
+                return {
+                    ...existing,
+                    status: eventData.status,
+                    statusHistory: [
+                        ...(existing?.statusHistory || []),
+                        {
+                            status: eventData.status,
+                            timestamp: eventData.timestamp
+                        }
+                    ]
+                };
+
+            case 'order.items_cancelled':
+                return {
+                    ...existing,
+                    totalAmount: eventData.totalAmount,
+                    items: removeItems(existing?.items || [], eventData.items),
+                    cancelledItems: [
+                        ...(existing?.cancelledItems || []),
+                        ...eventData.items
+                    ]
+                };
+
+            case 'order.expired':
+                return {
+                    ...existing,
+                    status: 'expired',
+                    expiredAt: eventData.timestamp
+                };
+
+            // The matching order.status_changed already added the history entry
+            case 'order.cancelled':
+                return {
+                    ...existing,
+                    status: 'cancelled',
+                    cancelledAt: eventData.timestamp
+                };
+        }
+    }
+};
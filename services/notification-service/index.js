@@ -1,66 +1,94 @@
 const express = require('express');
+const Joi = require('joi');
 const BaseService = require('../../shared/base-service');
 const MessageBroker = require('../../shared/message-broker');
+const createDeadLetterRouter = require('../../shared/dead-letter-routes');
 
 class NotificationService extends BaseService {
     constructor() {
         super('notification-service', 3004);
-        this.messageBroker = new MessageBroker();
+        this.messageBroker = new MessageBroker({ consumerGroup: this.serviceName });
         this.notificationQueue = [];
+        this.setupMetrics();
         this.setupRoutes();
         this.connectToMessageBroker();
+        this.setupHealthChecks();
+        this.setupShutdownHooks();
+    }
+
+    setupHealthChecks() {
+        this.healthChecks.register('message-broker', () => this.messageBroker.isHealthy());
+    }
+
+    setupShutdownHooks() {
+        this.onShutdown('message-broker', async (remainingMs) => {
+            // Leave part of the budget for the hooks that follow
+            await this.messageBroker.drain(Math.max(remainingMs - 2000, 0));
+            await this.messageBroker.disconnect();
+        });
     }
 
     async connectToMessageBroker() {
         try {
             await this.messageBroker.connect();
-            this.setupEventHandlers();
-            console.log('[NotificationService] Connected to message broker');
+            await this.setupEventHandlers();
+            this.logger.info('Connected to message broker');
         } catch (error) {
-            console.error('[NotificationService] MessageBroker connection failed:', error);
+            this.logger.error('MessageBroker connection failed', { error });
         }
     }
 
-    setupEventHandlers() {
-        // Handle user creation events
-        this.messageBroker.subscribe('user.created', (data) => {
-            this.sendWelcomeNotification(data);
-        });
+    setupMetrics() {
+        this.notificationsSentCounter = this.metrics.counter(
+            'notifications_sent_total',
+            'Total notifications sent',
+            ['type']
+        );
+        this.notificationsFailedCounter = this.metrics.counter(
+            'notifications_failed_total',
+            'Total notifications that failed to send',
+            ['type']
+        );
+        this.metrics.gauge(
+            'notification_queue_size',
+            'Notifications currently held in the in-memory queue',
+            [],
+            (gauge) => gauge.set(this.notificationQueue.length)
+        );
+    }
 
-        // Handle user login events
-        this.messageBroker.subscribe('user.login', (data) => {
-            this.sendLoginNotification(data);
-        });
+    async setupEventHandlers() {
+        await Promise.all([
+            // Handle user creation events
+            this.messageBroker.subscribe('user.created', (data) => this.sendWelcomeNotification(data)),
 
-        // Handle order creation events
-        this.messageBroker.subscribe('order.created', (data) => {
-            this.sendOrderConfirmationNotification(data);
-        });
+            // Handle user login events
+            this.messageBroker.subscribe('user.login', (data) => this.sendLoginNotification(data)),
 
-        // Handle order status changes
-        this.messageBroker.subscribe('order.status_changed', (data) => {
-            this.sendOrderStatusNotification(data);
-        });
+            // Handle order creation events
+            this.messageBroker.subscribe('order.created', (data) => this.sendOrderConfirmationNotification(data)),
 
-        // Handle order cancellation events
-        this.messageBroker.subscribe('order.cancelled', (data) => {
-            this.sendOrderCancellationNotification(data);
-        });
+            // Handle order status changes
+            this.messageBroker.subscribe('order.status_changed', (data) => this.sendOrderStatusNotification(data)),
 
-        // Handle payment confirmation events
-        this.messageBroker.subscribe('payment.confirmed', (data) => {
-            this.sendPaymentConfirmationNotification(data);
-        });
+            // Handle order cancellation events
+            this.messageBroker.subscribe('order.cancelled', (data) => this.sendOrderCancellationNotification(data)),
 
-        // Handle payment failure events
-        this.messageBroker.subscribe('payment.failed', (data) => {
-            this.sendPaymentFailureNotification(data);
-        });
+            // Handle orders expired for lack of payment
+            this.messageBroker.subscribe('order.expired', (data) => this.sendOrderExpiredNotification(data)),
 
-        // Handle inventory events (for low stock alerts)
-        this.messageBroker.subscribe('inventory.low_stock', (data) => {
-            this.sendLowStockAlert(data);
-        });
+            // Handle items removed from an order
+            this.messageBroker.subscribe('order.items_cancelled', (data) => this.sendItemsCancelledNotification(data)),
+
+            // Handle payment confirmation events
+            this.messageBroker.subscribe('payment.confirmed', (data) => this.sendPaymentConfirmationNotification(data)),
+
+            // Handle payment failure events
+            this.messageBroker.subscribe('payment.failed', (data) => this.sendPaymentFailureNotification(data)),
+
+            // Handle inventory events (for low stock alerts)
+            this.messageBroker.subscribe('inventory.low_stock', (data) => this.sendLowStockAlert(data))
+        ]);
     }
 
     async sendWelcomeNotification(userData) {
@@ -115,21 +143,31 @@ class NotificationService extends BaseService {
     }
 
     async sendOrderStatusNotification(statusData) {
+        // These statuses come with their own event (order.cancelled, order.expired,
+        // payment.failed), whose handler already notifies the customer
+        if (['cancelled', 'expired', 'payment_failed'].includes(statusData.status)) {
+            return;
+        }
+
         const statusMessages = {
             confirmed: 'Your order has been confirmed and is being prepared.',
             shipped: 'Your order has been shipped and is on its way!',
-            delivered: 'Your order has been delivered. Enjoy your purchase!',
-            payment_failed: 'Payment for your order failed. Please try again.'
+            delivered: 'Your order has been delivered. Enjoy your purchase!'
         };
 
+        let message = statusMessages[statusData.status] || `Order status updated to: ${statusData.status}`;
+        if (statusData.trackingNumber) {
+            message += ` Tracking number: ${statusData.trackingNumber}${statusData.carrier ? ` (${statusData.carrier})` : ''}.`;
+        }
+
         const notification = {
             id: this.generateNotificationId(),
             type: 'order_status',
             orderId: statusData.orderId,
             subject: 'Order Status Update',
-            message: statusMessages[statusData.status] || `Order status updated to: ${statusData.status}`,
+            message,
             channels: ['email', 'push'],
-            priority: statusData.status === 'payment_failed' ? 'high' : 'normal',
+            priority: 'normal',
             timestamp: new Date().toISOString(),
             status: 'pending'
         };
@@ -144,7 +182,44 @@ class NotificationService extends BaseService {
             userId: cancelData.userId,
             orderId: cancelData.orderId,
             subject: 'Order Cancelled',
-            message: `Your order #${cancelData.orderId} has been cancelled successfully. Any charges will be refunded.`,
+            message: `Your order #${cancelData.orderId} has been cancelled. Any charges will be refunded.`,
+            channels: ['email', 'push'],
+            priority: 'normal',
+            timestamp: new Date().toISOString(),
+            status: 'pending'
+        };
+
+        await this.processNotification(notification);
+    }
+
+    async sendOrderExpiredNotification(expiredData) {
+        const notification = {
+            id: this.generateNotificationId(),
+            type: 'order_expired',
+            userId: expiredData.userId,
+            orderId: expiredData.orderId,
+            subject: 'Order Expired',
+            message: `Your order #${expiredData.orderId} was cancelled because payment was not received in time.`,
+            channels: ['email', 'push'],
+            priority: 'normal',
+            timestamp: new Date().toISOString(),
+            status: 'pending'
+        };
+
+        await this.processNotification(notification);
+    }
+
+    async sendItemsCancelledNotification(cancelData) {
+        const names = cancelData.items.map(item => `${item.quantity} x ${item.productName}`).join(', ');
+        const refund = cancelData.refundId ? ` $${cancelData.amount.toFixed(2)} will be refunded.` : '';
+
+        const notification = {
+            id: this.generateNotificationId(),
+            type: 'order_items_cancellation',
+            userId: cancelData.userId,
+            orderId: cancelData.orderId,
+            subject: 'Order Updated',
+            message: `${names} removed from your order #${cancelData.orderId}. New total: $${cancelData.totalAmount.toFixed(2)}.${refund}`,
             channels: ['email', 'push'],
             priority: 'normal',
             timestamp: new Date().toISOString(),
@@ -194,7 +269,7 @@ class NotificationService extends BaseService {
             type: 'admin_alert',
             productId: stockData.productId,
             subject: 'Low Stock Alert',
-            message: `Product ${stockData.productName} is running low on stock. Current quantity: ${stockData.quantity}`,
+            message: `Product ${stockData.productName} is running low on stock. Current quantity: ${stockData.quantity} (reorder threshold: ${stockData.threshold})`,
             channels: ['email'],
             priority: 'normal',
             timestamp: new Date().toISOString(),
@@ -207,7 +282,12 @@ class NotificationService extends BaseService {
 
     async processNotification(notification) {
         try {
-            console.log(`[NotificationService] Processing notification: ${notification.type} - ${notification.id}`);
+            this.logger.info('Processing notification', {
+                notificationId: notification.id,
+                type: notification.type,
+                userId: notification.userId,
+                orderId: notification.orderId
+            });
             
             // Add to queue for processing
             this.notificationQueue.push(notification);
@@ -218,28 +298,38 @@ class NotificationService extends BaseService {
             }
 
             notification.status = 'sent';
-            console.log(`[NotificationService] Notification sent successfully: ${notification.id}`);
-
-            // Publish notification sent event
-            await this.messageBroker.publish('notification.sent', {
-                notificationId: notification.id,
-                type: notification.type,
-                channels: notification.channels,
-                userId: notification.userId,
-                timestamp: new Date().toISOString()
-            });
-
+            this.notificationsSentCounter.inc({ type: notification.type });
+            this.logger.info('Notification sent', { notificationId: notification.id, type: notification.type });
         } catch (error) {
-            console.error(`[NotificationService] Error processing notification:`, error);
+            this.logger.error('Error processing notification', { notificationId: notification.id, error });
             notification.status = 'failed';
+            this.notificationsFailedCounter.inc({ type: notification.type });
             notification.error = error.message;
+        }
 
-            // Publish notification failed event
-            await this.messageBroker.publish('notification.failed', {
+        // The outcome is settled by now; failing to announce it must not change it
+        try {
+            if (notification.status === 'sent') {
+                await this.messageBroker.publish('notification.sent', {
+                    notificationId: notification.id,
+                    type: notification.type,
+                    channels: notification.channels,
+                    userId: notification.userId,
+                    timestamp: new Date().toISOString()
+                });
+            } else {
+                await this.messageBroker.publish('notification.failed', {
+                    notificationId: notification.id,
+                    type: notification.type,
+                    error: notification.error,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            this.logger.warn('Failed to announce notification outcome', {
                 notificationId: notification.id,
-                type: notification.type,
-                error: error.message,
-                timestamp: new Date().toISOString()
+                status: notification.status,
+                error
             });
         }
     }
@@ -254,7 +344,6 @@ class NotificationService extends BaseService {
 
         return new Promise((resolve) => {
             setTimeout(() => {
-                console.log(`[NotificationService] ${channel.toUpperCase()} sent: ${notification.subject}`);
                 
                 // Simulate delivery details
                 const deliveryDetails = {
@@ -265,9 +354,13 @@ class NotificationService extends BaseService {
                 };
 
                 if (deliveryDetails.success) {
-                    console.log(`[NotificationService] ${channel} delivery successful`);
+                    this.logger.debug('Channel delivery successful', {
+                        channel,
+                        notificationId: notification.id,
+                        subject: notification.subject
+                    });
                 } else {
-                    console.log(`[NotificationService] ${channel} delivery failed`);
+                    this.logger.warn('Channel delivery failed', { channel, notificationId: notification.id });
                 }
 
                 resolve(deliveryDetails);
@@ -308,28 +401,42 @@ class NotificationService extends BaseService {
         // Send custom notification - for testing
         router.post('/notifications/send', async (req, res) => {
             try {
-                const { type, userId, subject, message, channels, priority } = req.body;
+                const schema = Joi.object({
+                    type: Joi.string().max(50).default('custom'),
+                    userId: Joi.number().integer().positive(),
+                    subject: Joi.string().max(200).required(),
+                    message: Joi.string().max(2000).required(),
+                    channels: Joi.array().items(Joi.string().valid('email', 'sms', 'push')).min(1).unique().default(['email']),
+                    priority: Joi.string().valid('low', 'normal', 'high', 'urgent').default('normal')
+                });
+
+                const { error, value } = schema.validate(req.body);
+                if (error) {
+                    return res.status(400).json({ error: error.details[0].message });
+                }
 
                 const notification = {
                     id: this.generateNotificationId(),
-                    type: type || 'custom',
-                    userId,
-                    subject,
-                    message,
-                    channels: channels || ['email'],
-                    priority: priority || 'normal',
+                    ...value,
                     timestamp: new Date().toISOString(),
                     status: 'pending'
                 };
 
                 await this.processNotification(notification);
 
+                if (notification.status !== 'sent') {
+                    return res.status(500).json({
+                        error: 'Failed to send notification',
+                        notificationId: notification.id
+                    });
+                }
+
                 res.status(201).json({
                     message: 'Notification sent successfully',
                     notificationId: notification.id
                 });
             } catch (error) {
-                console.error('[NotificationService] Custom notification error:', error);
+                this.logger.error('Custom notification error', { error });
                 res.status(500).json({ error: 'Failed to send notification' });
             }
         });
@@ -345,6 +452,7 @@ class NotificationService extends BaseService {
         });
 
         this.addRoutes(router);
+        this.addRoutes(createDeadLetterRouter(this.messageBroker, this.logger));
     }
 
     getNotificationsByType() {
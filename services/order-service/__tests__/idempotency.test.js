@@ -0,0 +1,170 @@
+const { IdempotencyStore, idempotencyMiddleware } = require('../../../shared/idempotency');
+
+// The subset of the Redis client the store uses, without expiry
+function fakeRedis() {
+    const values = new Map();
+    return {
+        async set(key, value, { NX } = {}) {
+            if (NX && values.has(key)) {
+                return null;
+            }
+            values.set(key, value);
+            return 'OK';
+        },
+        async get(key) {
+            return values.has(key) ? values.get(key) : null;
+        },
+        async del(key) {
+            values.delete(key);
+        }
+    };
+}
+
+const silent = { error: jest.fn() };
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('idempotencyMiddleware', () => {
+    let store;
+    let middleware;
+    let handled;
+
+    beforeEach(() => {
+        store = new IdempotencyStore({ namespace: 'test', logger: { child: () => silent } });
+        store.client = fakeRedis();
+        store.isConnected = true;
+        middleware = idempotencyMiddleware(store, { logger: silent });
+        handled = 0;
+    });
+
+    // Runs one POST /api/orders through the middleware; resolves with what was sent
+    function send({ key, body = {}, user, handler = (req, res) => res.status(201).json({ created: handled }) }) {
+        return new Promise(resolve => {
+            const headers = {};
+            const req = {
+                method: 'POST',
+                baseUrl: '/api',
+                path: '/orders',
+                body,
+                user,
+                get: (name) => (name === 'Idempotency-Key' ? key : undefined)
+            };
+            const res = {
+                statusCode: 200,
+                status(code) {
+                    this.statusCode = code;
+                    return this;
+                },
+                set(name, value) {
+                    headers[name] = value;
+                    return this;
+                },
+                json(sent) {
+                    resolve({ status: this.statusCode, body: sent, headers });
+                    return this;
+                }
+            };
+            middleware(req, res, () => {
+                handled++;
+                handler(req, res);
+            });
+        });
+    }
+
+    test('passes requests without a key straight through', async () => {
+        await send({});
+        await send({});
+
+        expect(handled).toBe(2);
+    });
+
+    test('rejects a malformed key', async () => {
+        const response = await send({ key: 'has spaces' });
+
+        expect(response.status).toBe(400);
+        expect(handled).toBe(0);
+    });
+
+    test('replays the first response for a retry with the same key and body', async () => {
+        const first = await send({ key: 'k1', body: { amount: 5 }, user: { userId: 1 } });
+        const retry = await send({ key: 'k1', body: { amount: 5 }, user: { userId: 1 } });
+
+        expect(handled).toBe(1);
+        expect(retry).toEqual({ status: 201, body: first.body, headers: { 'Idempotent-Replayed': 'true' } });
+    });
+
+    test('answers 409 while the first request is still being processed', async () => {
+        send({ key: 'k1', user: { userId: 1 }, handler: () => {} });
+        await flush();
+
+        const retry = await send({ key: 'k1', user: { userId: 1 } });
+
+        expect(retry.status).toBe(409);
+        expect(retry.headers['Retry-After']).toBe('1');
+        expect(handled).toBe(1);
+    });
+
+    test('answers 422 when a user reuses a key with a different body', async () => {
+        await send({ key: 'k1', body: { amount: 5 }, user: { userId: 1 } });
+
+        const reused = await send({ key: 'k1', body: { amount: 6 }, user: { userId: 1 } });
+
+        expect(reused.status).toBe(422);
+        expect(handled).toBe(1);
+    });
+
+    test('scopes keys to the authenticated user', async () => {
+        await send({ key: 'k1', body: { amount: 5 }, user: { userId: 1 } });
+
+        const other = await send({ key: 'k1', body: { amount: 5 }, user: { userId: 2 } });
+
+        expect(other.headers['Idempotent-Replayed']).toBeUndefined();
+        expect(handled).toBe(2);
+    });
+
+    test('scopes anonymous keys to the request body', async () => {
+        await send({ key: 'k1', body: { amount: 5 } });
+
+        const replayed = await send({ key: 'k1', body: { amount: 5 } });
+        const different = await send({ key: 'k1', body: { amount: 6 } });
+
+        expect(replayed.headers['Idempotent-Replayed']).toBe('true');
+        expect(different.status).toBe(201);
+        expect(handled).toBe(2);
+    });
+
+    test('frees the key after a server error so the client can retry', async () => {
+        await send({ key: 'k1', user: { userId: 1 }, handler: (req, res) => res.status(500).json({ error: 'boom' }) });
+
+        const retry = await send({ key: 'k1', user: { userId: 1 } });
+
+        expect(retry.status).toBe(201);
+        expect(handled).toBe(2);
+    });
+
+    test('waits for an asynchronous user lookup, and fails the request if it throws', async () => {
+        middleware = idempotencyMiddleware(store, { user: async (req) => req.body.owner, logger: silent });
+        await send({ key: 'k1', body: { owner: 1, amount: 5 } });
+        const reused = await send({ key: 'k1', body: { owner: 1, amount: 6 } });
+
+        middleware = idempotencyMiddleware(store, {
+            user: async () => {
+                throw new Error('lookup failed');
+            },
+            logger: silent
+        });
+        const failed = await send({ key: 'k2' });
+
+        expect(reused.status).toBe(422);
+        expect(failed.status).toBe(500);
+        expect(handled).toBe(1);
+    });
+
+    test('refuses to run unprotected when the store is unavailable', async () => {
+        store.isConnected = false;
+
+        const response = await send({ key: 'k1', user: { userId: 1 } });
+
+        expect(response.status).toBe(503);
+        expect(handled).toBe(0);
+    });
+});
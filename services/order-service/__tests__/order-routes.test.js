@@ -0,0 +1,106 @@
+// Idempotency-Key handling on the real order routes, without authentication: keys
+// must be scoped to the user each route acts for, not to the request body
+process.env.LOG_LEVEL_ORDER_SERVICE = 'error';
+
+const OrderService = require('../index');
+
+// The subset of the Redis client the idempotency store uses, without expiry
+function fakeRedis() {
+    const values = new Map();
+    return {
+        async set(key, value, { NX } = {}) {
+            if (NX && values.has(key)) {
+                return null;
+            }
+            values.set(key, value);
+            return 'OK';
+        },
+        async get(key) {
+            return values.has(key) ? values.get(key) : null;
+        },
+        async del(key) {
+            values.delete(key);
+        }
+    };
+}
+
+describe('order routes with an Idempotency-Key', () => {
+    let service;
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        // Nothing connects: the database, broker and product service are faked below
+        for (const method of ['connectToDatabase', 'connectToMessageBroker', 'setupIdempotency', 'setupPaymentProvider']) {
+            jest.spyOn(OrderService.prototype, method).mockResolvedValue();
+        }
+        service = new OrderService();
+        service.idempotencyStore.client = fakeRedis();
+        service.idempotencyStore.isConnected = true;
+
+        server = service.app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        // Every product is unknown, so each order that gets through is answered 400
+        service.productServiceBreaker = {
+            call: jest.fn(async (productIds) => ({ products: [], notFound: productIds }))
+        };
+        service.db.query = jest.fn(async (sql) => {
+            if (sql.startsWith('SELECT user_id FROM orders')) {
+                return { rows: [{ user_id: 7 }] };
+            }
+            // No pending order to pay
+            return { rows: [] };
+        });
+    });
+
+    const post = (path, key, body) => fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+        body: JSON.stringify(body)
+    });
+
+    test('POST /orders rejects a key reused by the same user with a different body', async () => {
+        const first = await post('/orders', 'order-key-1', { userId: 1, items: [{ productId: 1, quantity: 1 }] });
+        const reused = await post('/orders', 'order-key-1', { userId: 1, items: [{ productId: 2, quantity: 1 }] });
+
+        expect(first.status).toBe(400);
+        expect(reused.status).toBe(422);
+        expect(service.productServiceBreaker.call).toHaveBeenCalledTimes(1);
+    });
+
+    test('POST /orders replays the first response for the same body', async () => {
+        const body = { userId: 1, items: [{ productId: 3, quantity: 1 }] };
+        await post('/orders', 'order-key-2', body);
+        const retry = await post('/orders', 'order-key-2', body);
+
+        expect(retry.headers.get('Idempotent-Replayed')).toBe('true');
+        expect(service.productServiceBreaker.call).toHaveBeenCalledTimes(1);
+    });
+
+    test('POST /orders keeps keys of different users apart', async () => {
+        await post('/orders', 'order-key-3', { userId: 1, items: [{ productId: 1, quantity: 1 }] });
+        const other = await post('/orders', 'order-key-3', { userId: 2, items: [{ productId: 2, quantity: 1 }] });
+
+        expect(other.status).toBe(400);
+        expect(service.productServiceBreaker.call).toHaveBeenCalledTimes(2);
+    });
+
+    test('POST /orders/:id/payment rejects a key reused for the order with a different body', async () => {
+        const path = '/orders/0b6f1c1e-3f0a-4c59-9a52-4a0f6f2f8c11/payment';
+        const first = await post(path, 'payment-key-1', { paymentMethod: 'paypal', amount: 10 });
+        const reused = await post(path, 'payment-key-1', { paymentMethod: 'paypal', amount: 20 });
+
+        expect(first.status).toBe(400);
+        expect(reused.status).toBe(422);
+        expect(service.db.query.mock.calls.filter(([sql]) => sql.startsWith('SELECT * FROM orders'))).toHaveLength(1);
+    });
+});
@@ -0,0 +1,51 @@
+const OrderSaga = require('../order-saga');
+
+const silent = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), child: () => silent };
+
+// Sagas past their deadline, each answering the queries of the timeout sweep
+function fakeDb(orderIds) {
+    const db = { steps: [], postponed: [] };
+    db.query = jest.fn(async () => ({ rows: orderIds.map(order_id => ({ order_id })) }));
+    db.withTransaction = jest.fn(async (fn) => fn({
+        query: async (sql, params) => {
+            if (sql.includes('FOR UPDATE SKIP LOCKED')) {
+                return { rows: [{ order_id: params[0], status: 'running', current_step: 'reserve_inventory' }] };
+            }
+            if (sql.includes('INSERT INTO order_saga_steps')) {
+                db.steps.push({ orderId: params[0], status: params[2], details: JSON.parse(params[3]) });
+                return { rows: [] };
+            }
+            if (sql.includes('RETURNING current_step')) {
+                db.postponed.push({ orderId: params[0], delay: params[1] });
+                return { rows: [{ current_step: 'reserve_inventory' }] };
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        }
+    }));
+    return db;
+}
+
+describe('OrderSaga timeout sweep', () => {
+    test('keeps compensating the other sagas when one fails, and postpones the failed one', async () => {
+        const db = fakeDb(['broken', 'fine']);
+        const saga = new OrderSaga(db, { relay: jest.fn() }, null, null, { logger: silent, compensationRetryDelay: 30000 });
+        const compensated = [];
+        jest.spyOn(saga, 'compensate').mockImplementation(async (client, { order_id: orderId }) => {
+            if (orderId === 'broken') {
+                throw new Error('payment provider unreachable');
+            }
+            compensated.push(orderId);
+        });
+
+        await saga.compensateExpired();
+
+        expect(compensated).toEqual(['fine']);
+        expect(db.postponed).toEqual([{ orderId: 'broken', delay: 30000 }]);
+        expect(db.steps).toContainEqual({
+            orderId: 'broken',
+            status: 'compensation_failed',
+            details: { error: 'payment provider unreachable', retryInMs: 30000 }
+        });
+        expect(silent.error).toHaveBeenCalledWith('Order saga compensation failed', expect.objectContaining({ orderId: 'broken' }));
+    });
+});
@@ -0,0 +1,103 @@
+const { OrderStateMachine, InvalidTransitionError, OrderNotFoundError } = require('../order-state-machine');
+
+const { STATUSES, TRANSITIONS } = OrderStateMachine;
+
+// Client whose SELECT ... FOR UPDATE finds the order in `status`
+function clientFor(status) {
+    return {
+        query: jest.fn(async (sql, params) => {
+            if (sql.startsWith('SELECT')) {
+                return { rows: status ? [{ id: params[0], status }] : [] };
+            }
+            if (sql.startsWith('UPDATE')) {
+                return { rows: [{ id: params[0], status: params[1] }] };
+            }
+            return { rows: [] };
+        })
+    };
+}
+
+describe('OrderStateMachine', () => {
+    let outbox;
+    let machine;
+
+    beforeEach(() => {
+        outbox = { add: jest.fn() };
+        machine = new OrderStateMachine(outbox);
+    });
+
+    test('lists every status in TRANSITIONS, with only known statuses as targets', () => {
+        const statuses = Object.values(STATUSES);
+        expect(Object.keys(TRANSITIONS).sort()).toEqual([...statuses].sort());
+        for (const targets of Object.values(TRANSITIONS)) {
+            targets.forEach(target => expect(statuses).toContain(target));
+        }
+    });
+
+    test.each([
+        ['pending', 'confirmed'],
+        ['pending', 'payment_failed'],
+        ['pending', 'cancelled'],
+        ['pending', 'expired'],
+        ['confirmed', 'shipped'],
+        ['confirmed', 'cancelled'],
+        ['shipped', 'delivered']
+    ])('allows %s -> %s', (from, to) => {
+        expect(machine.canTransition(from, to)).toBe(true);
+    });
+
+    test.each([
+        ['pending', 'shipped'],
+        ['confirmed', 'pending'],
+        ['shipped', 'cancelled'],
+        ['delivered', 'shipped'],
+        ['cancelled', 'confirmed'],
+        ['expired', 'confirmed'],
+        ['payment_failed', 'confirmed'],
+        ['unknown', 'confirmed']
+    ])('rejects %s -> %s', (from, to) => {
+        expect(machine.canTransition(from, to)).toBe(false);
+    });
+
+    test('terminal statuses have no way out', () => {
+        for (const status of ['delivered', 'cancelled', 'expired', 'payment_failed']) {
+            expect(TRANSITIONS[status]).toEqual([]);
+        }
+    });
+
+    test('transition updates the order, records history and publishes the change', async () => {
+        const client = clientFor('confirmed');
+
+        const order = await machine.transition(client, 7, 'shipped', {
+            actor: 'admin',
+            fields: { tracking_number: 'TRK1' }
+        });
+
+        expect(order).toEqual({ id: 7, status: 'shipped' });
+        const [updateSql, updateParams] = client.query.mock.calls[1];
+        expect(updateSql).toContain('tracking_number = $3');
+        expect(updateSql).toContain('shipped_at = $4');
+        expect(updateParams.slice(0, 3)).toEqual([7, 'shipped', 'TRK1']);
+        expect(client.query.mock.calls[2][1].slice(0, 4)).toEqual([7, 'confirmed', 'shipped', 'admin']);
+        expect(outbox.add).toHaveBeenCalledWith(client, 'order.status_changed', expect.objectContaining({
+            orderId: 7,
+            previousStatus: 'confirmed',
+            status: 'shipped'
+        }));
+    });
+
+    test('transition rejects a move TRANSITIONS does not allow, without writing', async () => {
+        const client = clientFor('delivered');
+
+        const error = await machine.transition(client, 7, 'cancelled', { actor: 'customer' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(InvalidTransitionError);
+        expect(error).toMatchObject({ from: 'delivered', to: 'cancelled', allowed: [] });
+        expect(client.query).toHaveBeenCalledTimes(1);
+        expect(outbox.add).not.toHaveBeenCalled();
+    });
+
+    test('transition rejects an unknown order', async () => {
+        await expect(machine.transition(clientFor(null), 7, 'confirmed')).rejects.toBeInstanceOf(OrderNotFoundError);
+    });
+});
@@ -0,0 +1,184 @@
+const Outbox = require('../../../shared/outbox');
+
+// In-memory outbox table answering the relay's queries. `now` is advanced by hand
+// to let backoffs expire.
+function fakeDb(channels) {
+    const db = {
+        now: 0,
+        locked: true,
+        rows: channels.map((channel, index) => ({
+            id: index + 1,
+            message_id: `message-${index + 1}`,
+            channel,
+            payload: { n: index + 1 },
+            headers: {},
+            attempts: 0,
+            next_attempt_at: 0,
+            published_at: null,
+            last_error: null
+        }))
+    };
+    const row = id => db.rows.find(candidate => candidate.id === id);
+
+    db.query = async (sql, params) => {
+        if (sql.includes('pg_try_advisory_xact_lock')) {
+            return { rows: [{ locked: db.locked }] };
+        }
+        if (sql.includes('SELECT id, message_id')) {
+            return {
+                rows: db.rows
+                    .filter(candidate => candidate.published_at === null)
+                    .slice(0, params[0])
+                    .map(candidate => ({ ...candidate, due: candidate.next_attempt_at <= db.now }))
+            };
+        }
+        if (sql.includes('last_error')) {
+            const [id, error, delay] = params;
+            Object.assign(row(id), { attempts: row(id).attempts + 1, last_error: error, next_attempt_at: db.now + delay });
+            return { rows: [] };
+        }
+        if (sql.includes('published_at = CURRENT_TIMESTAMP')) {
+            Object.assign(row(params[0]), { attempts: row(params[0]).attempts + 1, published_at: db.now });
+            return { rows: [] };
+        }
+        if (sql.startsWith('DELETE')) {
+            return { rowCount: 0 };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    };
+    db.withTransaction = fn => fn({ query: db.query });
+    return db;
+}
+
+// Broker that fails the publishes listed in `failures` (by call number, from 1)
+function fakeBroker(failures = []) {
+    const broker = { isConnected: true, published: [], calls: 0 };
+    broker.publish = jest.fn(async (channel, data, { id }) => {
+        broker.calls++;
+        if (failures.includes(broker.calls)) {
+            throw new Error('broker unavailable');
+        }
+        broker.published.push({ channel, id });
+    });
+    return broker;
+}
+
+const silent = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+const tracer = { inject: headers => headers, extract: () => null, withSpan: (name, options, fn) => fn() };
+
+function outboxFor(db, broker, options = {}) {
+    return new Outbox(db, broker, {
+        tracer,
+        logger: { child: () => silent },
+        initialDelay: 1000,
+        maxDelay: 5000,
+        ...options
+    });
+}
+
+describe('Outbox relay', () => {
+    test('publishes pending rows in order under their message ids', async () => {
+        const db = fakeDb(['order.created', 'order.status_changed']);
+        const broker = fakeBroker();
+
+        await outboxFor(db, broker).relayPending();
+
+        expect(broker.published).toEqual([
+            { channel: 'order.created', id: 'message-1' },
+            { channel: 'order.status_changed', id: 'message-2' }
+        ]);
+        expect(db.rows.every(row => row.published_at !== null && row.attempts === 1)).toBe(true);
+    });
+
+    test('records a failed publish and holds back the rows behind it', async () => {
+        const db = fakeDb(['order.created', 'order.status_changed']);
+        const broker = fakeBroker([1]);
+
+        await outboxFor(db, broker).relayPending();
+
+        expect(db.rows[0]).toMatchObject({ attempts: 1, last_error: 'broker unavailable', next_attempt_at: 1000, published_at: null });
+        expect(db.rows[1]).toMatchObject({ attempts: 0, published_at: null });
+        expect(broker.published).toEqual([]);
+    });
+
+    test('retries a failed row under the same message id once its backoff expires', async () => {
+        const db = fakeDb(['order.created', 'order.status_changed']);
+        const broker = fakeBroker([1]);
+        const outbox = outboxFor(db, broker);
+
+        await outbox.relayPending();
+        db.now = 999;
+        await outbox.relayPending();
+        expect(broker.calls).toBe(1);
+
+        db.now = 1000;
+        await outbox.relayPending();
+
+        expect(broker.publish.mock.calls.map(([, , options]) => options.id)).toEqual(['message-1', 'message-1', 'message-2']);
+        expect(db.rows[0]).toMatchObject({ attempts: 2, published_at: 1000 });
+        expect(db.rows[1].published_at).toBe(1000);
+    });
+
+    test('doubles the backoff on each failure, up to maxDelay', async () => {
+        const db = fakeDb(['order.created']);
+        const broker = fakeBroker([1, 2, 3, 4, 5]);
+        const outbox = outboxFor(db, broker);
+        const delays = [];
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const before = db.now;
+            await outbox.relayPending();
+            delays.push(db.rows[0].next_attempt_at - before);
+            db.now = db.rows[0].next_attempt_at;
+        }
+
+        expect(delays).toEqual([1000, 2000, 4000, 5000, 5000]);
+        expect(db.rows[0].attempts).toBe(5);
+    });
+
+    test('leaves the rows to the replica holding the relay lock', async () => {
+        const db = fakeDb(['order.created']);
+        db.locked = false;
+        const broker = fakeBroker();
+
+        await outboxFor(db, broker).relayPending();
+
+        expect(broker.publish).not.toHaveBeenCalled();
+    });
+
+    test('waits while the broker is disconnected', async () => {
+        const db = fakeDb(['order.created']);
+        const broker = fakeBroker();
+        broker.isConnected = false;
+
+        await outboxFor(db, broker).relayPending();
+
+        expect(broker.publish).not.toHaveBeenCalled();
+        expect(db.rows[0].published_at).toBeNull();
+    });
+
+    test('keeps relaying full batches until the outbox is drained', async () => {
+        const db = fakeDb(['a', 'b', 'c', 'd', 'e']);
+        const broker = fakeBroker();
+
+        await outboxFor(db, broker, { batchSize: 2 }).relayPending();
+
+        expect(broker.published.map(message => message.channel)).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    test('shares a running pass between concurrent relay calls and logs its errors', async () => {
+        const db = fakeDb(['order.created']);
+        db.withTransaction = jest.fn(async () => {
+            throw new Error('connection lost');
+        });
+        const outbox = outboxFor(db, fakeBroker());
+
+        const first = outbox.relay();
+        const second = outbox.relay();
+
+        expect(second).toBe(first);
+        await expect(first).resolves.toBeUndefined();
+        expect(db.withTransaction).toHaveBeenCalledTimes(1);
+        expect(silent.error).toHaveBeenCalledWith('Outbox relay failed', expect.objectContaining({ error: expect.any(Error) }));
+    });
+});
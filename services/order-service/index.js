@@ -1,222 +1,286 @@
+const path = require('path');
 const express = require('express');
 const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
-const { Client } = require('pg');
 const BaseService = require('../../shared/base-service');
+const Database = require('../../shared/database');
+const MigrationRunner = require('../../shared/migration-runner');
 const MessageBroker = require('../../shared/message-broker');
+const Outbox = require('../../shared/outbox');
+const createDeadLetterRouter = require('../../shared/dead-letter-routes');
 const CircuitBreaker = require('../../shared/circuit-breaker');
+const OrderSaga = require('./order-saga');
+const OrderExpiry = require('./order-expiry');
+const { OrderStateMachine, InvalidTransitionError, OrderNotFoundError } = require('./order-state-machine');
+const PaymentProcessor = require('./payment-processor');
+const { createPaymentProvider } = require('./payment-providers');
+
+const PRODUCT_BATCH_SIZE = 100;
+
+const orderSchema = Joi.object({
+    userId: Joi.number().integer().positive().required(),
+    items: Joi.array().items(Joi.object({
+        productId: Joi.number().integer().positive().required(),
+        quantity: Joi.number().integer().min(1).required()
+    })).min(1).required()
+});
 
 class OrderService extends BaseService {
     constructor() {
         super('order-service', 3003);
-        this.db = null;
-        this.messageBroker = new MessageBroker();
+        this.db = new Database({
+            host: 'postgres-order',
+            database: 'orderdb'
+        });
+        this.migrations = new MigrationRunner(this.db, {
+            directory: path.join(__dirname, 'migrations')
+        });
+        this.messageBroker = new MessageBroker({ consumerGroup: this.serviceName });
+        this.outbox = new Outbox(this.db, this.messageBroker);
+        this.orderStates = new OrderStateMachine(this.outbox);
+        this.paymentProvider = createPaymentProvider();
+        this.payments = new PaymentProcessor(this.db, this.paymentProvider, this.outbox);
+        this.saga = new OrderSaga(this.db, this.outbox, this.orderStates, this.payments, { metrics: this.metrics });
+        this.expiry = new OrderExpiry(this.db, this.outbox, this.orderStates, this.saga, { metrics: this.metrics });
         this.productServiceBreaker = null;
+        this.setupMetrics();
         this.setupRoutes();
         this.connectToDatabase();
         this.connectToMessageBroker();
+        this.setupIdempotency();
+        this.setupPaymentProvider();
         this.setupCircuitBreakers();
+        this.setupHealthChecks();
+        this.setupShutdownHooks();
     }
 
-    async connectToDatabase() {
-        this.db = new Client({
-            host: process.env.POSTGRES_HOST || 'postgres-order',
-            port: process.env.POSTGRES_PORT || 5432,
-            database: process.env.POSTGRES_DB || 'orderdb',
-            user: process.env.POSTGRES_USER || 'postgres',
-            password: process.env.POSTGRES_PASSWORD || 'password'
+    setupHealthChecks() {
+        this.healthChecks.register('postgres', async () => {
+            await this.db.ping();
+            return this.db.getStats();
         });
+        this.healthChecks.register('message-broker', () => this.messageBroker.isHealthy());
+        this.healthChecks.register('product-service-breaker', () => {
+            const stats = this.productServiceBreaker.getStats();
+            return { healthy: stats.state !== 'OPEN', ...stats };
+        }, { critical: false });
+    }
+
+    setupShutdownHooks() {
+        // Expired sagas left behind are compensated by the next instance
+        this.onShutdown('order-saga', () => this.saga.stop());
+        this.onShutdown('order-expiry', () => this.expiry.stop());
+        // Unpublished rows stay in the outbox for the next instance
+        this.onShutdown('outbox', () => this.outbox.stop());
+        this.onShutdown('message-broker', async (remainingMs) => {
+            // Leave part of the budget for the hooks that follow
+            await this.messageBroker.drain(Math.max(remainingMs - 2000, 0));
+            await this.messageBroker.disconnect();
+        });
+        this.onShutdown('postgres', () => this.db.close());
+    }
 
+    async setupPaymentProvider() {
+        this.onShutdown('payment-provider', () => this.paymentProvider.disconnect());
+        try {
+            await this.paymentProvider.connect();
+        } catch (error) {
+            this.logger.error('Payment provider connection failed', { error });
+        }
+    }
+
+    async connectToDatabase() {
         try {
             await this.db.connect();
-            await this.createTables();
-            console.log('[OrderService] Connected to PostgreSQL');
+            await this.migrations.up();
+            this.logger.info('Connected to PostgreSQL');
+            this.outbox.start();
+            this.saga.startTimeoutChecks();
+            this.expiry.start();
         } catch (error) {
-            console.error('[OrderService] Database connection failed:', error);
+            this.logger.error('Database connection failed', { error });
         }
     }
 
     async connectToMessageBroker() {
         try {
             await this.messageBroker.connect();
-            this.setupEventHandlers();
+            await this.setupEventHandlers();
         } catch (error) {
-            console.error('[OrderService] MessageBroker connection failed:', error);
+            this.logger.error('MessageBroker connection failed', { error });
         }
     }
 
+    setupMetrics() {
+        this.ordersCreatedCounter = this.metrics.counter(
+            'orders_created_total',
+            'Total orders created'
+        );
+        this.ordersCancelledCounter = this.metrics.counter(
+            'orders_cancelled_total',
+            'Total orders cancelled'
+        );
+        this.paymentsCounter = this.metrics.counter(
+            'order_payments_total',
+            'Total payment attempts by outcome',
+            ['status']
+        );
+        this.metrics.gauge(
+            'order_outbox_pending',
+            'Outbox events not yet published',
+            [],
+            async (gauge) => {
+                try {
+                    gauge.set(await this.outbox.countPending());
+                } catch (error) {
+                    // Database unavailable; keep the last value rather than failing the scrape
+                }
+            }
+        );
+    }
+
     setupCircuitBreakers() {
         // Circuit breaker for product service calls
+        // Resolves with { products, notFound } for any number of ids; ProductService
+        // takes at most PRODUCT_BATCH_SIZE per request
         this.productServiceBreaker = new CircuitBreaker(
-            async (productId) => {
-                const response = await fetch(`http://product-service:3002/api/products/${productId}`);
-                if (!response.ok) {
-                    throw new Error(`Product service error: ${response.status}`);
+            async (productIds) => {
+                const batches = [];
+                for (let i = 0; i < productIds.length; i += PRODUCT_BATCH_SIZE) {
+                    batches.push(productIds.slice(i, i + PRODUCT_BATCH_SIZE));
                 }
-                return await response.json();
+
+                const results = await Promise.all(batches.map(async (ids) => {
+                    const response = await this.tracer.fetch('http://product-service:3002/api/products/batch', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ ids })
+                    });
+                    if (!response.ok) {
+                        throw new Error(`Product service error: ${response.status}`);
+                    }
+                    return await response.json();
+                }));
+
+                return {
+                    products: results.flatMap(result => result.products),
+                    notFound: results.flatMap(result => result.notFound)
+                };
             },
             {
+                name: 'productServiceBreaker',
                 failureThreshold: 3,
                 successThreshold: 2,
-                timeout: 30000,
-                onStateChange: (state) => {
-                    console.log(`[OrderService] Product service circuit breaker: ${state}`);
-                }
+                timeout: 30000
             }
         );
     }
 
-    async createTables() {
-        const query = `
-            CREATE TABLE IF NOT EXISTS orders (
-                id UUID PRIMARY KEY,
-                user_id INTEGER NOT NULL,
-                status VARCHAR(50) DEFAULT 'pending',
-                total_amount DECIMAL(10,2) NOT NULL,
-                currency VARCHAR(3) DEFAULT 'USD',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-
-            CREATE TABLE IF NOT EXISTS order_items (
-                id SERIAL PRIMARY KEY,
-                order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
-                product_id INTEGER NOT NULL,
-                product_name VARCHAR(255) NOT NULL,
-                quantity INTEGER NOT NULL,
-                unit_price DECIMAL(10,2) NOT NULL,
-                total_price DECIMAL(10,2) NOT NULL
-            );
-            
-            CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
-            CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
-            CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
-        `;
-        await this.db.query(query);
-    }
-
-    setupEventHandlers() {
-        // Handle user login events for analytics
-        this.messageBroker.subscribe('user.login', (data) => {
-            console.log('[OrderService] User logged in:', data.userId);
-            // Could trigger personalized promotions, recommendations, etc.
-        });
-
-        // Handle payment confirmation events
-        this.messageBroker.subscribe('payment.confirmed', async (data) => {
-            console.log('[OrderService] Payment confirmed for order:', data.orderId);
-            await this.updateOrderStatus(data.orderId, 'confirmed');
-        });
-
-        // Handle payment failed events
-        this.messageBroker.subscribe('payment.failed', async (data) => {
-            console.log('[OrderService] Payment failed for order:', data.orderId);
-            await this.updateOrderStatus(data.orderId, 'payment_failed');
-        });
-    }
-
-    async updateOrderStatus(orderId, status) {
-        try {
-            await this.db.query(
-                'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-                [status, orderId]
-            );
-
-            // Publish order status change event
-            await this.messageBroker.publish('order.status_changed', {
-                orderId,
-                status,
-                timestamp: new Date().toISOString()
-            });
-        } catch (error) {
-            console.error('[OrderService] Update status error:', error);
-        }
+    async setupEventHandlers() {
+        await Promise.all([
+            // Handle user login events for analytics
+            this.messageBroker.subscribe('user.login', (data) => {
+                this.logger.debug('User logged in', { userId: data.userId });
+                // Could trigger personalized promotions, recommendations, etc.
+            }),
+
+            // Inventory reservation results drive the order saga
+            this.messageBroker.subscribe('inventory.reserved', (data) => this.saga.handleReservationResult(data, true), { validate: true }),
+            this.messageBroker.subscribe('inventory.reservation_failed', (data) => this.saga.handleReservationResult(data, false), { validate: true }),
+
+            // Saga compensations publish refunds through the outbox; the provider is called here
+            this.messageBroker.subscribe('payment.refunded', (data) => this.payments.processRefund(data), { validate: true })
+        ]);
     }
 
     setupRoutes() {
         const router = express.Router();
 
         // Create order - stateless operation with async processing
-        router.post('/orders', async (req, res) => {
+        // Retries carrying the same Idempotency-Key get the first response back; keys
+        // are scoped to the user the order is placed for
+        router.post('/orders', this.idempotent({
+            user: req => orderSchema.validate(req.body).value?.userId
+        }), async (req, res) => {
             try {
-                const schema = Joi.object({
-                    userId: Joi.number().integer().positive().required(),
-                    items: Joi.array().items(Joi.object({
-                        productId: Joi.number().integer().positive().required(),
-                        quantity: Joi.number().integer().min(1).required()
-                    })).min(1).required()
-                });
-
-                const { error, value } = schema.validate(req.body);
+                const { error, value } = orderSchema.validate(req.body);
                 if (error) {
                     return res.status(400).json({ error: error.details[0].message });
                 }
 
                 const { userId, items } = value;
                 const orderId = uuidv4();
+                this.logger.addContext({ orderId, userId });
 
-                // Validate products and calculate total (with circuit breaker)
-                let totalAmount = 0;
-                const orderItems = [];
+                // Validate products and calculate total - one batch lookup (with circuit breaker)
+                const productIds = [...new Set(items.map(item => item.productId))];
+                let lookup;
+                try {
+                    lookup = await this.productServiceBreaker.call(productIds);
+                } catch (error) {
+                    this.logger.error('Product validation error', { productIds, error });
+                    return res.status(503).json({ 
+                        error: 'Product service temporarily unavailable' 
+                    });
+                }
+
+                if (lookup.notFound.length > 0) {
+                    return res.status(400).json({
+                        error: `Products not found: ${lookup.notFound.join(', ')}`,
+                        notFound: lookup.notFound
+                    });
+                }
 
+                const products = new Map(lookup.products.map(product => [product.id, product]));
+                // Lines repeating a product draw on the same stock
+                const requested = new Map();
                 for (const item of items) {
-                    try {
-                        const productData = await this.productServiceBreaker.call(item.productId);
-                        const product = productData.product;
-
-                        if (!product) {
-                            return res.status(400).json({ 
-                                error: `Product ${item.productId} not found` 
-                            });
-                        }
-
-                        if (product.stock_quantity < item.quantity) {
-                            return res.status(400).json({ 
-                                error: `Insufficient stock for product ${product.name}` 
-                            });
-                        }
-
-                        const itemTotal = parseFloat(product.price) * item.quantity;
-                        totalAmount += itemTotal;
-
-                        orderItems.push({
-                            productId: product.id,
-                            productName: product.name,
-                            quantity: item.quantity,
-                            unitPrice: parseFloat(product.price),
-                            totalPrice: itemTotal
-                        });
-                    } catch (error) {
-                        console.error('[OrderService] Product validation error:', error);
-                        return res.status(503).json({ 
-                            error: 'Product service temporarily unavailable' 
+                    requested.set(item.productId, (requested.get(item.productId) || 0) + item.quantity);
+                }
+                for (const [productId, quantity] of requested) {
+                    const product = products.get(productId);
+                    if (product.stock_quantity < quantity) {
+                        return res.status(400).json({ 
+                            error: `Insufficient stock for product ${product.name}` 
                         });
                     }
                 }
 
-                // Start database transaction
-                await this.db.query('BEGIN');
+                let totalAmount = 0;
+                const orderItems = items.map(item => {
+                    const product = products.get(item.productId);
+                    const itemTotal = parseFloat(product.price) * item.quantity;
+                    totalAmount += itemTotal;
+
+                    return {
+                        productId: product.id,
+                        productName: product.name,
+                        quantity: item.quantity,
+                        unitPrice: parseFloat(product.price),
+                        totalPrice: itemTotal
+                    };
+                });
 
-                try {
+                // Order, items and their events are written atomically on a dedicated connection
+                await this.db.withTransaction(async (client) => {
                     // Create order
-                    await this.db.query(
+                    await client.query(
                         'INSERT INTO orders (id, user_id, total_amount, status) VALUES ($1, $2, $3, $4)',
                         [orderId, userId, totalAmount, 'pending']
                     );
+                    await this.orderStates.recordCreated(client, orderId, 'customer');
 
                     // Create order items
                     for (const orderItem of orderItems) {
-                        await this.db.query(
+                        await client.query(
                             `INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, total_price) 
                              VALUES ($1, $2, $3, $4, $5, $6)`,
                             [orderId, orderItem.productId, orderItem.productName, orderItem.quantity, orderItem.unitPrice, orderItem.totalPrice]
                         );
                     }
 
-                    await this.db.query('COMMIT');
-
-                    // Publish order created event (asynchronous processing)
-                    await this.messageBroker.publish('order.created', {
+                    // Order created event (asynchronous processing)
+                    await this.outbox.add(client, 'order.created', {
                         orderId,
                         userId,
                         totalAmount,
@@ -224,34 +288,27 @@ class OrderService extends BaseService {
                         timestamp: new Date().toISOString()
                     });
 
-                    // Publish inventory update events (asynchronous)
-                    for (const item of items) {
-                        await this.messageBroker.publish('inventory.reserve', {
-                            productId: item.productId,
-                            quantity: item.quantity,
-                            orderId
-                        });
-                    }
-
-                    // Return immediate response (stateless)
-                    res.status(201).json({
-                        message: 'Order created successfully',
-                        order: {
-                            id: orderId,
-                            userId,
-                            totalAmount,
-                            status: 'pending',
-                            items: orderItems
-                        }
-                    });
+                    // Saga reserves inventory, then waits for payment
+                    await this.saga.begin(client, orderId, items);
+                });
+                this.ordersCreatedCounter.inc();
+                // Publish without waiting for the next poll
+                this.outbox.relay();
 
-                } catch (dbError) {
-                    await this.db.query('ROLLBACK');
-                    throw dbError;
-                }
+                // Return immediate response (stateless)
+                res.status(201).json({
+                    message: 'Order created successfully',
+                    order: {
+                        id: orderId,
+                        userId,
+                        totalAmount,
+                        status: 'pending',
+                        items: orderItems
+                    }
+                });
 
             } catch (error) {
-                console.error('[OrderService] Create order error:', error);
+                this.logger.error('Create order error', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -284,7 +341,7 @@ class OrderService extends BaseService {
                     }
                 });
             } catch (error) {
-                console.error('[OrderService] Get order error:', error);
+                this.logger.error('Get order error', { orderId: req.params.id, error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -340,7 +397,7 @@ class OrderService extends BaseService {
                     }
                 });
             } catch (error) {
-                console.error('[OrderService] Get user orders error:', error);
+                this.logger.error('Get user orders error', { userId: req.params.userId, error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -350,66 +407,92 @@ class OrderService extends BaseService {
             try {
                 const orderId = req.params.id;
 
-                const result = await this.db.query(
-                    `UPDATE orders 
-                     SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP 
-                     WHERE id = $1 AND status IN ('pending', 'confirmed') 
-                     RETURNING *`,
-                    [orderId]
-                );
+                // Status change and its events commit together
+                const order = await this.db.withTransaction(client => this.cancelOrder(client, orderId));
+                this.ordersCancelledCounter.inc();
+                this.outbox.relay();
 
-                if (result.rows.length === 0) {
-                    return res.status(400).json({ 
-                        error: 'Order cannot be cancelled or not found' 
-                    });
-                }
+                res.json({
+                    message: 'Order cancelled successfully',
+                    order
+                });
+            } catch (error) {
+                if (this.sendTransitionError(res, error)) return;
+                this.logger.error('Cancel order error', { orderId: req.params.id, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
 
-                const order = result.rows[0];
+        // Remove line items, or part of their quantity, from an order that hasn't
+        // shipped. Removing everything that is left cancels the order.
+        router.post('/orders/:id/items/cancel', async (req, res) => {
+            try {
+                const orderId = req.params.id;
 
-                // Publish order cancelled event (async processing)
-                await this.messageBroker.publish('order.cancelled', {
-                    orderId,
-                    userId: order.user_id,
-                    timestamp: new Date().toISOString()
+                const schema = Joi.object({
+                    items: Joi.array().items(Joi.object({
+                        itemId: Joi.number().integer().positive().required(),
+                        // Defaults to the item's whole remaining quantity
+                        quantity: Joi.number().integer().min(1)
+                    })).min(1).unique('itemId').required(),
+                    reason: Joi.string().trim().max(500)
                 });
 
-                // Get order items for inventory restoration
-                const itemsResult = await this.db.query(
-                    'SELECT * FROM order_items WHERE order_id = $1',
-                    [orderId]
+                const { error, value } = schema.validate(req.body);
+                if (error) {
+                    return res.status(400).json({ error: error.details[0].message });
+                }
+
+                const result = await this.db.withTransaction(
+                    client => this.cancelOrderItems(client, orderId, value.items, value.reason || null)
                 );
+                if (result.error) {
+                    return res.status(result.status).json({ error: result.error });
+                }
+                this.outbox.relay();
 
-                // Publish inventory restore events
-                for (const item of itemsResult.rows) {
-                    await this.messageBroker.publish('inventory.restore', {
-                        productId: item.product_id,
-                        quantity: item.quantity,
-                        orderId
-                    });
+                if (result.orderCancelled) {
+                    this.ordersCancelledCounter.inc();
+                    return res.json({ message: 'All items cancelled; order cancelled', order: result.order });
                 }
 
                 res.json({
-                    message: 'Order cancelled successfully',
-                    order
+                    message: 'Order items cancelled successfully',
+                    cancellationId: result.cancellationId,
+                    items: result.items,
+                    refund: result.refund,
+                    order: result.order
                 });
             } catch (error) {
-                console.error('[OrderService] Cancel order error:', error);
+                if (this.sendTransitionError(res, error)) return;
+                this.logger.error('Cancel order items error', { orderId: req.params.id, error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
 
-        // Process payment (simulated) - triggers async events
-        router.post('/orders/:id/payment', async (req, res) => {
+        // Pay for an order - the saga's authorize_payment step. Accepted once the
+        // inventory is reserved; a declined payment releases the stock and fails the order
+        // Idempotency-Key scoped to the user the order belongs to
+        router.post('/orders/:id/payment', this.idempotent({
+            user: async (req) => {
+                const result = await this.db.query('SELECT user_id FROM orders WHERE id = $1', [req.params.id]);
+                return result.rows[0]?.user_id;
+            }
+        }), async (req, res) => {
             try {
                 const orderId = req.params.id;
-                const { paymentMethod, amount } = req.body;
+                const { paymentMethod, amount, cardNumber } = req.body;
 
                 const schema = Joi.object({
                     paymentMethod: Joi.string().valid('credit_card', 'debit_card', 'paypal').required(),
-                    amount: Joi.number().positive().required()
+                    amount: Joi.number().positive().required(),
+                    cardNumber: Joi.string().creditCard().when('paymentMethod', {
+                        is: 'paypal',
+                        then: Joi.forbidden()
+                    })
                 });
 
-                const { error } = schema.validate({ paymentMethod, amount });
+                const { error } = schema.validate({ paymentMethod, amount, cardNumber });
                 if (error) {
                     return res.status(400).json({ error: error.details[0].message });
                 }
@@ -429,9 +512,6 @@ class OrderService extends BaseService {
                     return res.status(400).json({ error: 'Amount mismatch' });
                 }
 
-                // Simulate payment processing (would be external service)
-                const paymentSuccess = Math.random() > 0.1; // 90% success rate
-
                 const paymentData = {
                     orderId,
                     userId: order.user_id,
@@ -441,38 +521,292 @@ class OrderService extends BaseService {
                     timestamp: new Date().toISOString()
                 };
 
-                if (paymentSuccess) {
-                    // Publish payment confirmed event (async)
-                    await this.messageBroker.publish('payment.confirmed', paymentData);
-                    
-                    res.json({
-                        message: 'Payment processed successfully',
-                        paymentId: paymentData.paymentId,
-                        status: 'confirmed'
-                    });
-                } else {
-                    // Publish payment failed event (async)
-                    await this.messageBroker.publish('payment.failed', {
-                        ...paymentData,
-                        error: 'Payment declined'
-                    });
-                    
-                    res.status(400).json({
-                        error: 'Payment failed',
-                        paymentId: paymentData.paymentId
-                    });
+                const rejection = await this.saga.beginPayment(orderId, paymentData);
+                if (rejection) {
+                    return res.status(409).json({ error: rejection });
                 }
 
+                const authorization = await this.payments.authorize(paymentData, cardNumber);
+                const outcome = await this.saga.completePayment(
+                    orderId,
+                    paymentData,
+                    authorization.status === 'authorized' ? null : authorization.message || 'Payment declined'
+                );
+
+                this.paymentsCounter.inc({ status: outcome });
+
+                switch (outcome) {
+                    case 'confirmed':
+                        await this.payments.capture(paymentData.paymentId);
+                        return res.json({
+                            message: 'Payment processed successfully',
+                            paymentId: paymentData.paymentId,
+                            status: 'confirmed'
+                        });
+                    case 'refunded':
+                        return res.status(409).json({
+                            error: 'Order was cancelled while the payment was processed; payment refunded',
+                            paymentId: paymentData.paymentId
+                        });
+                    default:
+                        return res.status(400).json({
+                            error: 'Payment failed',
+                            paymentId: paymentData.paymentId,
+                            declineCode: authorization.declineCode || null
+                        });
+                }
             } catch (error) {
-                console.error('[OrderService] Payment processing error:', error);
+                this.logger.error('Payment processing error', { orderId: req.params.id, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Payment attempts and refunds for an order, oldest first
+        router.get('/orders/:id/payments', async (req, res) => {
+            try {
+                const [payments, refunds] = await Promise.all([
+                    this.payments.listForOrder(req.params.id),
+                    this.payments.listRefundsForOrder(req.params.id)
+                ]);
+                res.json({ orderId: req.params.id, payments, refunds });
+            } catch (error) {
+                this.logger.error('Get order payments error', { orderId: req.params.id, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Fulfillment (admin): the order has left the warehouse
+        router.patch('/orders/:id/ship', async (req, res) => {
+            try {
+                const schema = Joi.object({
+                    trackingNumber: Joi.string().trim().max(100).required(),
+                    carrier: Joi.string().trim().max(100)
+                });
+
+                const { error, value } = schema.validate(req.body);
+                if (error) {
+                    return res.status(400).json({ error: error.details[0].message });
+                }
+
+                const { trackingNumber, carrier } = value;
+                const order = await this.db.withTransaction(client =>
+                    this.orderStates.transition(client, req.params.id, 'shipped', {
+                        actor: 'admin',
+                        details: { trackingNumber, ...(carrier && { carrier }) },
+                        fields: { tracking_number: trackingNumber, carrier: carrier || null }
+                    })
+                );
+                this.outbox.relay();
+
+                res.json({ message: 'Order marked as shipped', order });
+            } catch (error) {
+                if (this.sendTransitionError(res, error)) return;
+                this.logger.error('Ship order error', { orderId: req.params.id, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Fulfillment (admin): the carrier handed the order to the customer
+        router.patch('/orders/:id/deliver', async (req, res) => {
+            try {
+                const order = await this.db.withTransaction(client =>
+                    this.orderStates.transition(client, req.params.id, 'delivered', { actor: 'admin' })
+                );
+                this.outbox.relay();
+
+                res.json({ message: 'Order marked as delivered', order });
+            } catch (error) {
+                if (this.sendTransitionError(res, error)) return;
+                this.logger.error('Deliver order error', { orderId: req.params.id, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Every status the order went through, oldest first
+        router.get('/orders/:id/status-history', async (req, res) => {
+            try {
+                const history = await this.orderStates.getHistory(this.db, req.params.id);
+
+                if (history.length === 0) {
+                    return res.status(404).json({ error: 'Order not found' });
+                }
+
+                res.json({ orderId: req.params.id, history });
+            } catch (error) {
+                this.logger.error('Get order status history error', { orderId: req.params.id, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Saga state and step history for an order
+        router.get('/orders/:id/saga', async (req, res) => {
+            try {
+                const saga = await this.saga.getHistory(req.params.id);
+
+                if (!saga) {
+                    return res.status(404).json({ error: 'Saga not found' });
+                }
+
+                res.json({ saga });
+            } catch (error) {
+                this.logger.error('Get order saga error', { orderId: req.params.id, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Outbox backlog - for monitoring the relay
+        router.get('/outbox', async (req, res) => {
+            try {
+                const limit = Math.min(parseInt(req.query.limit) || 20, 500);
+                res.json(await this.outbox.getBacklog({ limit }));
+            } catch (error) {
+                this.logger.error('Get outbox backlog error', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
 
         this.addRoutes(router);
+        this.addRoutes(createDeadLetterRouter(this.messageBroker, this.logger));
+    }
+
+    // Cancels the whole order: the saga refunds what was paid and restores the stock
+    async cancelOrder(client, orderId, { actor = 'customer', reason = 'cancelled_by_user' } = {}) {
+        const cancelled = await this.orderStates.transition(client, orderId, 'cancelled', { actor, reason });
+
+        // Order cancelled event (async processing)
+        await this.outbox.add(client, 'order.cancelled', {
+            orderId,
+            userId: cancelled.user_id,
+            reason,
+            timestamp: new Date().toISOString()
+        });
+
+        // Saga compensations: refund if paid, restore inventory
+        await this.saga.cancel(client, orderId, reason);
+
+        return cancelled;
+    }
+
+    // Resolves with { error, status } when the request can't be applied, otherwise
+    // with the removed items, the refund (if the order was paid) and the updated order
+    async cancelOrderItems(client, orderId, requested, reason) {
+        const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+        if (orderResult.rows.length === 0) {
+            throw new OrderNotFoundError(orderId);
+        }
+
+        const order = orderResult.rows[0];
+        if (!this.orderStates.canTransition(order.status, 'cancelled')) {
+            return { status: 409, error: `Items of a ${order.status} order cannot be cancelled` };
+        }
+
+        const itemsResult = await client.query('SELECT * FROM order_items WHERE order_id = $1 ORDER BY id', [orderId]);
+        const orderItems = new Map(itemsResult.rows.map(item => [item.id, item]));
+
+        const removed = [];
+        for (const { itemId, quantity } of requested) {
+            const item = orderItems.get(itemId);
+            if (!item) {
+                return { status: 400, error: `Item ${itemId} is not part of this order` };
+            }
+            if (quantity > item.quantity) {
+                return { status: 400, error: `Item ${itemId} has only ${item.quantity} left` };
+            }
+            removed.push({ item, quantity: quantity || item.quantity });
+        }
+
+        const remaining = itemsResult.rows.reduce((sum, item) => sum + item.quantity, 0)
+            - removed.reduce((sum, { quantity }) => sum + quantity, 0);
+        if (remaining === 0) {
+            const cancelled = await this.cancelOrder(client, orderId, { reason: reason || 'all_items_cancelled' });
+            return { orderCancelled: true, order: cancelled };
+        }
+
+        const cancellationId = uuidv4();
+        const items = removed.map(({ item, quantity }) => ({
+            productId: item.product_id,
+            productName: item.product_name,
+            quantity,
+            unitPrice: parseFloat(item.unit_price),
+            totalPrice: Math.round(parseFloat(item.unit_price) * 100) * quantity / 100
+        }));
+        const amount = items.reduce((sum, item) => sum + Math.round(item.totalPrice * 100), 0) / 100;
+
+        const { rejection, refund } = await this.saga.cancelItems(client, orderId, items, {
+            amount,
+            reason: reason || 'items_cancelled',
+            cancellationId
+        });
+        if (rejection) {
+            return { status: 409, error: rejection };
+        }
+
+        for (const { item, quantity } of removed) {
+            if (quantity === item.quantity) {
+                await client.query('DELETE FROM order_items WHERE id = $1', [item.id]);
+            } else {
+                await client.query(
+                    `UPDATE order_items SET quantity = quantity - $2, total_price = unit_price * (quantity - $2)
+                     WHERE id = $1`,
+                    [item.id, quantity]
+                );
+            }
+        }
+
+        const updated = await client.query(
+            `UPDATE orders SET total_amount = total_amount - $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 RETURNING *`,
+            [orderId, amount]
+        );
+
+        await client.query(
+            `INSERT INTO order_item_cancellations (id, order_id, items, amount, refund_id, actor, reason)
+             VALUES ($1, $2, $3, $4, $5, 'customer', $6)`,
+            [cancellationId, orderId, JSON.stringify(items), amount, refund ? refund.id : null, reason]
+        );
+
+        await this.outbox.add(client, 'order.items_cancelled', {
+            orderId,
+            userId: order.user_id,
+            cancellationId,
+            items,
+            amount,
+            totalAmount: parseFloat(updated.rows[0].total_amount),
+            refundId: refund ? refund.id : null,
+            reason,
+            timestamp: new Date().toISOString()
+        });
+
+        return {
+            cancellationId,
+            items,
+            refund: refund && { refundId: refund.id, amount: parseFloat(refund.amount), status: refund.status },
+            order: updated.rows[0]
+        };
+    }
+
+    // Responds for the state machine's errors; returns false for anything else
+    sendTransitionError(res, error) {
+        if (error instanceof OrderNotFoundError) {
+            res.status(404).json({ error: 'Order not found' });
+            return true;
+        }
+        if (error instanceof InvalidTransitionError) {
+            res.status(409).json({
+                error: `Order cannot move from ${error.from} to ${error.to}`,
+                status: error.from,
+                allowedTransitions: error.allowed
+            });
+            return true;
+        }
+        return false;
     }
 }
 
 // Start the service
-const orderService = new OrderService();
-orderService.start();
\ No newline at end of file
+if (require.main === module) {
+    const orderService = new OrderService();
+    orderService.start();
+}
+
+module.exports = OrderService;
\ No newline at end of file
@@ -0,0 +1,38 @@
+// Baseline schema. Uses IF NOT EXISTS so databases created before migrations
+// were introduced are adopted without changes.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS orders (
+                id UUID PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                status VARCHAR(50) DEFAULT 'pending',
+                total_amount DECIMAL(10,2) NOT NULL,
+                currency VARCHAR(3) DEFAULT 'USD',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS order_items (
+                id SERIAL PRIMARY KEY,
+                order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+                product_id INTEGER NOT NULL,
+                product_name VARCHAR(255) NOT NULL,
+                quantity INTEGER NOT NULL,
+                unit_price DECIMAL(10,2) NOT NULL,
+                total_price DECIMAL(10,2) NOT NULL
+            );
+            
+            CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
+            CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+            CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS order_items;
+            DROP TABLE IF EXISTS orders;
+        `);
+    }
+};
@@ -0,0 +1,37 @@
+// Saga state per order (see order-saga.js) and the append-only history of its steps
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE order_sagas (
+                order_id UUID PRIMARY KEY REFERENCES orders(id) ON DELETE CASCADE,
+                status VARCHAR(20) NOT NULL,
+                current_step VARCHAR(50),
+                step_deadline TIMESTAMP,
+                context JSONB NOT NULL DEFAULT '{}',
+                failure_reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_order_sagas_deadline ON order_sagas(step_deadline) WHERE status = 'running';
+
+            CREATE TABLE order_saga_steps (
+                id BIGSERIAL PRIMARY KEY,
+                order_id UUID NOT NULL REFERENCES order_sagas(order_id) ON DELETE CASCADE,
+                step VARCHAR(50) NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                details JSONB NOT NULL DEFAULT '{}',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_order_saga_steps_order_id ON order_saga_steps(order_id, id);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS order_saga_steps;
+            DROP TABLE IF EXISTS order_sagas;
+        `);
+    }
+};
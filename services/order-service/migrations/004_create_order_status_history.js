@@ -0,0 +1,40 @@
+// Fulfillment columns and the audit trail written by OrderStateMachine. Existing
+// orders get one history row for the status they are in.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE orders
+                ADD COLUMN tracking_number VARCHAR(100),
+                ADD COLUMN carrier VARCHAR(100),
+                ADD COLUMN shipped_at TIMESTAMP,
+                ADD COLUMN delivered_at TIMESTAMP;
+
+            CREATE TABLE order_status_history (
+                id BIGSERIAL PRIMARY KEY,
+                order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+                from_status VARCHAR(50),
+                to_status VARCHAR(50) NOT NULL,
+                actor VARCHAR(50) NOT NULL,
+                reason TEXT,
+                details JSONB NOT NULL DEFAULT '{}',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_order_status_history_order_id ON order_status_history(order_id, id);
+
+            INSERT INTO order_status_history (order_id, from_status, to_status, actor, created_at)
+            SELECT id, NULL, status, 'migration', created_at FROM orders;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS order_status_history;
+            ALTER TABLE orders
+                DROP COLUMN IF EXISTS delivered_at,
+                DROP COLUMN IF EXISTS shipped_at,
+                DROP COLUMN IF EXISTS carrier,
+                DROP COLUMN IF EXISTS tracking_number;
+        `);
+    }
+};
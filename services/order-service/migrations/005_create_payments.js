@@ -0,0 +1,30 @@
+// One row per payment attempt, written by PaymentProcessor
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE payments (
+                id UUID PRIMARY KEY,
+                order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+                provider VARCHAR(50) NOT NULL,
+                provider_reference VARCHAR(255),
+                payment_method VARCHAR(50) NOT NULL,
+                card_last4 VARCHAR(4),
+                amount DECIMAL(10,2) NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                decline_code VARCHAR(50),
+                error TEXT,
+                refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+                captured_at TIMESTAMP,
+                refunded_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_payments_order_id ON payments(order_id, created_at);
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS payments');
+    }
+};
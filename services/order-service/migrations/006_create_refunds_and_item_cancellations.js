@@ -0,0 +1,42 @@
+// Refunds issued against a payment (full or partial) and the line items removed
+// from orders after they were placed
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE payment_refunds (
+                id UUID PRIMARY KEY,
+                payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+                order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+                amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+                reason TEXT NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                provider_reference VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                completed_at TIMESTAMP
+            );
+
+            CREATE INDEX idx_payment_refunds_payment_id ON payment_refunds(payment_id);
+            CREATE INDEX idx_payment_refunds_order_id ON payment_refunds(order_id, created_at);
+
+            CREATE TABLE order_item_cancellations (
+                id UUID PRIMARY KEY,
+                order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+                items JSONB NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                refund_id UUID REFERENCES payment_refunds(id),
+                actor VARCHAR(50) NOT NULL,
+                reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_order_item_cancellations_order_id ON order_item_cancellations(order_id, created_at);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS order_item_cancellations;
+            DROP TABLE IF EXISTS payment_refunds;
+        `);
+    }
+};
@@ -0,0 +1,120 @@
+const { logger } = require('../../shared/logger');
+
+// Expires orders still pending ORDER_PAYMENT_TIMEOUT_MS after they were placed:
+// the saga releases their stock (and refunds, should anything have been taken),
+// then the order moves to 'expired' and order.expired is published. Each sweep
+// holds a Postgres advisory lock, so only one replica sweeps at a time.
+class OrderExpiry {
+    constructor(db, outbox, stateMachine, saga, options = {}) {
+        this.db = db;
+        this.outbox = outbox;
+        this.stateMachine = stateMachine;
+        this.saga = saga;
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.ORDER_PAYMENT_TIMEOUT_MS) || 30 * 60 * 1000;
+        this.checkInterval = options.checkInterval || parseInt(process.env.ORDER_EXPIRY_CHECK_INTERVAL_MS) || 60000;
+        this.batchSize = options.batchSize || 50;
+        this.logger = (options.logger || logger).child({ component: 'OrderExpiry' });
+        this.timer = null;
+        this.running = null;
+
+        if (options.metrics) {
+            this.expiredCounter = options.metrics.counter(
+                'orders_expired_total',
+                'Orders expired after going unpaid'
+            );
+        }
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.run(), this.checkInterval);
+            this.timer.unref();
+            this.logger.info('Order expiry started', { timeoutMs: this.timeoutMs, checkIntervalMs: this.checkInterval });
+        }
+    }
+
+    // Stops the schedule and waits for a running sweep to finish
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.running;
+    }
+
+    run() {
+        if (!this.running) {
+            this.running = this.expireBatch()
+                .catch(error => this.logger.error('Order expiry sweep failed', { error }))
+                .finally(() => {
+                    this.running = null;
+                });
+        }
+        return this.running;
+    }
+
+    // Resolves with the ids of the orders expired
+    async expireBatch() {
+        const expired = await this.db.withTransaction(async (client) => {
+            const lock = await client.query("SELECT pg_try_advisory_xact_lock(hashtext('order-expiry')) AS locked");
+            if (!lock.rows[0].locked) {
+                return [];
+            }
+
+            // Orders whose saga is mid-step are left to the saga's own deadlines
+            const result = await client.query(
+                `SELECT o.* FROM orders o
+                 WHERE o.status = 'pending'
+                   AND o.created_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 millisecond'
+                   AND NOT EXISTS (
+                       SELECT 1 FROM order_sagas s
+                       WHERE s.order_id = o.id AND s.status = 'running' AND s.current_step <> 'await_payment'
+                   )
+                 ORDER BY o.created_at
+                 LIMIT $2
+                 FOR UPDATE OF o SKIP LOCKED`,
+                [this.timeoutMs, this.batchSize]
+            );
+
+            const orderIds = [];
+            for (const order of result.rows) {
+                // A failing order is rolled back alone and retried on the next sweep
+                await client.query('SAVEPOINT expire_order');
+                try {
+                    if (await this.expireOrder(client, order)) {
+                        orderIds.push(order.id);
+                    }
+                    await client.query('RELEASE SAVEPOINT expire_order');
+                } catch (error) {
+                    await client.query('ROLLBACK TO SAVEPOINT expire_order');
+                    this.logger.error('Order expiry failed', { orderId: order.id, error });
+                }
+            }
+            return orderIds;
+        });
+
+        if (expired.length > 0) {
+            this.logger.info('Expired unpaid orders', { count: expired.length, orderIds: expired });
+            this.expiredCounter?.inc(expired.length);
+            this.outbox.relay();
+        }
+        return expired;
+    }
+
+    async expireOrder(client, order) {
+        const reason = 'payment_timeout';
+        if (!await this.saga.expire(client, order.id, reason)) {
+            return false;
+        }
+
+        await this.stateMachine.transition(client, order.id, 'expired', { actor: 'scheduler', reason });
+        await this.outbox.add(client, 'order.expired', {
+            orderId: order.id,
+            userId: order.user_id,
+            totalAmount: parseFloat(order.total_amount),
+            createdAt: order.created_at.toISOString(),
+            timestamp: new Date().toISOString()
+        });
+        return true;
+    }
+}
+
+module.exports = OrderExpiry;
@@ -0,0 +1,501 @@
+const { logger } = require('../../shared/logger');
+const { InvalidTransitionError } = require('./order-state-machine');
+
+// Orchestrates an order through its steps:
+//   reserve_inventory -> await_payment -> authorize_payment -> confirm_order
+// Saga state lives in order_sagas (locked FOR UPDATE while it changes) and every
+// transition is appended to order_saga_steps. All events go through the outbox in
+// the same transaction as the state change. When a step fails or passes its
+// deadline, the completed steps are compensated in reverse: refund the payment,
+// restore inventory, cancel the order.
+const STEPS = {
+    RESERVE_INVENTORY: 'reserve_inventory',
+    AWAIT_PAYMENT: 'await_payment',
+    AUTHORIZE_PAYMENT: 'authorize_payment',
+    CONFIRM_ORDER: 'confirm_order'
+};
+
+class OrderSaga {
+    constructor(db, outbox, stateMachine, payments, options = {}) {
+        this.db = db;
+        this.outbox = outbox;
+        this.stateMachine = stateMachine;
+        this.payments = payments;
+        this.logger = (options.logger || logger).child({ component: 'OrderSaga' });
+        // Deadlines for steps that wait on other services; await_payment waits on
+        // the customer and has none
+        this.timeouts = {
+            [STEPS.RESERVE_INVENTORY]: parseInt(process.env.SAGA_RESERVATION_TIMEOUT_MS) || 30000,
+            [STEPS.AUTHORIZE_PAYMENT]: parseInt(process.env.SAGA_PAYMENT_TIMEOUT_MS) || 30000,
+            [STEPS.CONFIRM_ORDER]: parseInt(process.env.SAGA_CONFIRM_TIMEOUT_MS) || 10000
+        };
+        this.checkInterval = options.checkInterval || parseInt(process.env.SAGA_TIMEOUT_CHECK_INTERVAL_MS) || 5000;
+        // A saga whose compensation failed is retried after this long, so it doesn't
+        // stay first in line and hold up the other timed-out sagas
+        this.compensationRetryDelay = options.compensationRetryDelay || parseInt(process.env.SAGA_COMPENSATION_RETRY_MS) || 60000;
+        this.timer = null;
+        this.checking = null;
+
+        if (options.metrics) {
+            this.sagasCounter = options.metrics.counter(
+                'order_sagas_total',
+                'Order sagas finished, by outcome',
+                ['outcome']
+            );
+        }
+    }
+
+    // Starts the saga for a new order inside the transaction that created it
+    async begin(client, orderId, items) {
+        const context = { reservations: {} };
+
+        await client.query(
+            `INSERT INTO order_sagas (order_id, status, current_step, step_deadline, context)
+             VALUES ($1, 'running', $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 millisecond', $4)`,
+            [orderId, STEPS.RESERVE_INVENTORY, this.timeouts[STEPS.RESERVE_INVENTORY], JSON.stringify(context)]
+        );
+        await this.recordStep(client, orderId, STEPS.RESERVE_INVENTORY, 'started');
+
+        for (const item of this.mergeItems(items)) {
+            await this.outbox.add(client, 'inventory.reserve', {
+                productId: item.productId,
+                quantity: item.quantity,
+                orderId
+            });
+        }
+    }
+
+    // ProductService keeps one reservation per (order, product), so repeated
+    // products are reserved and restored as a single line
+    mergeItems(items) {
+        const quantities = new Map();
+        for (const { productId, quantity } of items) {
+            quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+        }
+        return Array.from(quantities, ([productId, quantity]) => ({ productId, quantity }));
+    }
+
+    async lock(client, orderId) {
+        const result = await client.query('SELECT * FROM order_sagas WHERE order_id = $1 FOR UPDATE', [orderId]);
+        return result.rows[0] || null;
+    }
+
+    async recordStep(client, orderId, step, status, details = {}) {
+        await client.query(
+            'INSERT INTO order_saga_steps (order_id, step, status, details) VALUES ($1, $2, $3, $4)',
+            [orderId, step, status, JSON.stringify(details)]
+        );
+    }
+
+    async moveTo(client, saga, step) {
+        const timeout = this.timeouts[step];
+        await client.query(
+            `UPDATE order_sagas
+             SET current_step = $2,
+                 step_deadline = CASE WHEN $3::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + $3 * INTERVAL '1 millisecond' END,
+                 context = $4, updated_at = CURRENT_TIMESTAMP
+             WHERE order_id = $1`,
+            [saga.order_id, step, timeout || null, JSON.stringify(saga.context)]
+        );
+        await this.recordStep(client, saga.order_id, step, 'started');
+    }
+
+    async finish(client, saga, status, failureReason = null) {
+        await client.query(
+            `UPDATE order_sagas
+             SET status = $2, current_step = NULL, step_deadline = NULL, context = $3,
+                 failure_reason = $4, updated_at = CURRENT_TIMESTAMP
+             WHERE order_id = $1`,
+            [saga.order_id, status, JSON.stringify(saga.context), failureReason]
+        );
+        this.sagasCounter?.inc({ outcome: status });
+        this.logger.info('Order saga finished', { orderId: saga.order_id, status, reason: failureReason });
+    }
+
+    isAt(saga, step) {
+        return saga && saga.status === 'running' && saga.current_step === step;
+    }
+
+    // inventory.reserved / inventory.reservation_failed from ProductService
+    async handleReservationResult(data, reserved) {
+        const { orderId, productId } = data;
+
+        await this.db.withTransaction(async (client) => {
+            const saga = await this.lock(client, orderId);
+            if (!this.isAt(saga, STEPS.RESERVE_INVENTORY)) {
+                this.logger.debug('Reservation result ignored, saga not reserving', { orderId, productId });
+                return;
+            }
+
+            saga.context.reservations[productId] = reserved ? 'reserved' : data.reason;
+
+            if (!reserved) {
+                await this.recordStep(client, orderId, STEPS.RESERVE_INVENTORY, 'failed', {
+                    productId,
+                    reason: data.reason,
+                    availableQuantity: data.availableQuantity
+                });
+                await this.compensate(client, saga, { reason: data.reason, orderStatus: 'cancelled' });
+                return;
+            }
+
+            const items = await this.getOrderItems(client, orderId);
+            const pending = items.filter(item => saga.context.reservations[item.productId] !== 'reserved');
+
+            if (pending.length > 0) {
+                await client.query(
+                    'UPDATE order_sagas SET context = $2, updated_at = CURRENT_TIMESTAMP WHERE order_id = $1',
+                    [orderId, JSON.stringify(saga.context)]
+                );
+                return;
+            }
+
+            await this.recordStep(client, orderId, STEPS.RESERVE_INVENTORY, 'completed');
+            await this.moveTo(client, saga, STEPS.AWAIT_PAYMENT);
+        });
+
+        this.outbox.relay();
+    }
+
+    async getOrderItems(client, orderId) {
+        const result = await client.query(
+            'SELECT product_id, quantity FROM order_items WHERE order_id = $1',
+            [orderId]
+        );
+        return this.mergeItems(result.rows.map(row => ({ productId: row.product_id, quantity: row.quantity })));
+    }
+
+    // Claims the order for payment; resolves with null on success or the reason the
+    // order can't be paid right now
+    async beginPayment(orderId, payment) {
+        return this.db.withTransaction(async (client) => {
+            const saga = await this.lock(client, orderId);
+            if (!saga) {
+                return 'Order has no saga';
+            }
+            if (!this.isAt(saga, STEPS.AWAIT_PAYMENT)) {
+                return saga.status === 'running'
+                    ? `Order is not awaiting payment (current step: ${saga.current_step})`
+                    : `Order saga is ${saga.status}`;
+            }
+
+            saga.context.payment = { ...payment, status: 'authorizing' };
+            await this.recordStep(client, orderId, STEPS.AWAIT_PAYMENT, 'completed');
+            await this.moveTo(client, saga, STEPS.AUTHORIZE_PAYMENT);
+            return null;
+        });
+    }
+
+    // Records the authorization outcome, then confirms the order. Resolves with
+    // 'confirmed', 'failed', or 'refunded' when the saga was compensated while the
+    // authorization was in flight.
+    async completePayment(orderId, payment, error = null) {
+        const outcome = await this.db.withTransaction(async (client) => {
+            const saga = await this.lock(client, orderId);
+
+            if (!this.isAt(saga, STEPS.AUTHORIZE_PAYMENT) || saga.context.payment?.paymentId !== payment.paymentId) {
+                if (error) {
+                    return 'failed';
+                }
+                // Money was taken for an order that no longer exists
+                const refund = await this.payments.requestRefund(client, payment.paymentId, { reason: 'saga_not_authorizing' });
+                await this.recordStep(client, orderId, 'refund_payment', 'compensated', {
+                    paymentId: payment.paymentId,
+                    refundId: refund && refund.id,
+                    reason: 'saga_not_authorizing'
+                });
+                return 'refunded';
+            }
+
+            if (error) {
+                await this.recordStep(client, orderId, STEPS.AUTHORIZE_PAYMENT, 'failed', { error });
+                await this.outbox.add(client, 'payment.failed', { ...payment, error });
+                saga.context.payment.status = 'declined';
+                await this.compensate(client, saga, { reason: 'payment_declined', orderStatus: 'payment_failed' });
+                return 'failed';
+            }
+
+            await this.outbox.add(client, 'payment.confirmed', payment);
+            saga.context.payment.status = 'authorized';
+            await this.recordStep(client, orderId, STEPS.AUTHORIZE_PAYMENT, 'completed', { paymentId: payment.paymentId });
+            await this.moveTo(client, saga, STEPS.CONFIRM_ORDER);
+            return 'authorized';
+        });
+
+        this.outbox.relay();
+        if (outcome !== 'authorized') {
+            return outcome;
+        }
+
+        // Separate transaction: the authorization is committed even if confirming
+        // fails, in which case the confirm_order deadline triggers the refund
+        await this.confirm(orderId);
+        return 'confirmed';
+    }
+
+    async confirm(orderId) {
+        await this.db.withTransaction(async (client) => {
+            const saga = await this.lock(client, orderId);
+            if (!this.isAt(saga, STEPS.CONFIRM_ORDER)) {
+                return;
+            }
+
+            // Throws if the order left 'pending' meanwhile; the saga then stays on
+            // confirm_order until its deadline compensates it
+            await this.stateMachine.transition(client, orderId, 'confirmed', { actor: 'saga' });
+            await this.recordStep(client, orderId, STEPS.CONFIRM_ORDER, 'completed');
+            await this.finish(client, saga, 'completed');
+        });
+
+        this.outbox.relay();
+    }
+
+    // Undoes the completed steps in reverse order. orderStatus, when given, is the
+    // status the order is moved to; callers that already changed the order omit it.
+    async compensate(client, saga, { reason, orderStatus = null }) {
+        const orderId = saga.order_id;
+        const payment = saga.context.payment;
+
+        if (payment && payment.status === 'authorized') {
+            // Refunds what is left after any partial refunds for removed items
+            const refund = await this.payments.requestRefund(client, payment.paymentId, { reason });
+            payment.status = 'refunded';
+            await this.recordStep(client, orderId, 'refund_payment', 'compensated', {
+                paymentId: payment.paymentId,
+                refundId: refund && refund.id,
+                amount: refund ? parseFloat(refund.amount) : 0
+            });
+        }
+
+        // Restore every line, not only confirmed reservations: ProductService
+        // ignores restores for stock it never reserved
+        await this.restoreInventory(client, orderId);
+        await this.recordStep(client, orderId, 'restore_inventory', 'compensated');
+
+        if (orderStatus) {
+            try {
+                const order = await this.stateMachine.transition(client, orderId, orderStatus, { actor: 'saga', reason });
+                // Every cancellation is announced with order.cancelled, not only the owner's
+                if (orderStatus === 'cancelled') {
+                    await this.outbox.add(client, 'order.cancelled', {
+                        orderId,
+                        userId: order.user_id,
+                        reason,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+            } catch (error) {
+                if (!(error instanceof InvalidTransitionError)) {
+                    throw error;
+                }
+                // Already in a final status (e.g. cancelled by its owner)
+                this.logger.info('Order status left unchanged by compensation', { orderId, status: error.from });
+            }
+            await this.recordStep(client, orderId, 'cancel_order', 'compensated', { status: orderStatus });
+        }
+
+        await this.finish(client, saga, 'compensated', reason);
+    }
+
+    async restoreInventory(client, orderId) {
+        for (const item of await this.getOrderItems(client, orderId)) {
+            await this.outbox.add(client, 'inventory.restore', {
+                productId: item.productId,
+                quantity: item.quantity,
+                orderId
+            });
+        }
+    }
+
+    // Releases the stock of items removed from a still-open order and refunds their
+    // price when the order was paid. `items` are the removed quantities. Resolves
+    // with { refund } or { rejection } when the saga is mid-step: reservation
+    // results or a payment for the old total may still arrive.
+    async cancelItems(client, orderId, items, { amount, reason, cancellationId }) {
+        const saga = await this.lock(client, orderId);
+
+        if (saga && saga.status === 'running' && !this.isAt(saga, STEPS.AWAIT_PAYMENT)) {
+            return { rejection: `Items cannot be cancelled while the order is at ${saga.current_step}` };
+        }
+
+        for (const item of this.mergeItems(items)) {
+            await this.outbox.add(client, 'inventory.restore', {
+                productId: item.productId,
+                quantity: item.quantity,
+                orderId,
+                releaseId: cancellationId
+            });
+        }
+
+        const payment = saga && saga.context.payment;
+        const refund = payment && payment.status === 'authorized'
+            ? await this.payments.requestRefund(client, payment.paymentId, { amount, reason })
+            : null;
+
+        if (saga) {
+            await this.recordStep(client, orderId, 'cancel_items', 'completed', {
+                cancellationId,
+                items: this.mergeItems(items),
+                refundId: refund && refund.id
+            });
+        }
+
+        return { refund };
+    }
+
+    // Compensates after the order was cancelled by its owner (the caller has
+    // already updated the order in this transaction)
+    async cancel(client, orderId, reason) {
+        const saga = await this.lock(client, orderId);
+
+        if (!saga) {
+            // Order placed before sagas existed
+            await this.restoreInventory(client, orderId);
+            return;
+        }
+        if (saga.status === 'compensated') {
+            return;
+        }
+
+        await this.recordStep(client, orderId, 'cancel_order', 'started', { reason });
+        await this.compensate(client, saga, { reason });
+    }
+
+    // Undoes the saga of an order left unpaid, before the caller expires the order.
+    // Resolves with false when the saga is mid-step: its own deadline applies then.
+    async expire(client, orderId, reason) {
+        const saga = await this.lock(client, orderId);
+
+        if (!saga) {
+            // Order placed before sagas existed
+            await this.restoreInventory(client, orderId);
+            return true;
+        }
+        if (saga.status !== 'running') {
+            return true;
+        }
+        if (!this.isAt(saga, STEPS.AWAIT_PAYMENT)) {
+            return false;
+        }
+
+        await this.recordStep(client, orderId, STEPS.AWAIT_PAYMENT, 'timed_out');
+        await this.compensate(client, saga, { reason });
+        return true;
+    }
+
+    startTimeoutChecks() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.checkTimeouts(), this.checkInterval);
+            this.timer.unref();
+        }
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.checking;
+    }
+
+    checkTimeouts() {
+        if (!this.checking) {
+            this.checking = this.compensateExpired()
+                .catch(error => this.logger.error('Saga timeout check failed', { error }))
+                .finally(() => {
+                    this.checking = null;
+                });
+        }
+        return this.checking;
+    }
+
+    async compensateExpired() {
+        const expired = await this.db.query(
+            `SELECT order_id FROM order_sagas
+             WHERE status = 'running' AND step_deadline < CURRENT_TIMESTAMP
+             ORDER BY step_deadline
+             LIMIT 100`
+        );
+
+        for (const { order_id: orderId } of expired.rows) {
+            try {
+                await this.db.withTransaction(async (client) => {
+                    // SKIP LOCKED: another replica or an event handler is already on it
+                    const result = await client.query(
+                        `SELECT * FROM order_sagas
+                         WHERE order_id = $1 AND status = 'running' AND step_deadline < CURRENT_TIMESTAMP
+                         FOR UPDATE SKIP LOCKED`,
+                        [orderId]
+                    );
+                    const saga = result.rows[0];
+                    if (!saga) {
+                        return;
+                    }
+
+                    this.logger.warn('Order saga step timed out', { orderId, step: saga.current_step });
+                    await this.recordStep(client, orderId, saga.current_step, 'timed_out');
+                    await this.compensate(client, saga, {
+                        reason: `${saga.current_step}_timeout`,
+                        orderStatus: 'cancelled'
+                    });
+                });
+            } catch (error) {
+                this.logger.error('Order saga compensation failed', { orderId, error });
+                await this.postponeCompensation(orderId, error)
+                    .catch(postponeError => this.logger.error('Failed to postpone saga compensation', { orderId, error: postponeError }));
+            }
+        }
+
+        if (expired.rows.length > 0) {
+            this.outbox.relay();
+        }
+    }
+
+    // Records the failure in the saga's history and pushes its deadline back
+    async postponeCompensation(orderId, error) {
+        await this.db.withTransaction(async (client) => {
+            const result = await client.query(
+                `UPDATE order_sagas
+                 SET step_deadline = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond', updated_at = CURRENT_TIMESTAMP
+                 WHERE order_id = $1 AND status = 'running' AND step_deadline < CURRENT_TIMESTAMP
+                 RETURNING current_step`,
+                [orderId, this.compensationRetryDelay]
+            );
+            if (result.rows.length > 0) {
+                await this.recordStep(client, orderId, result.rows[0].current_step, 'compensation_failed', {
+                    error: error.message,
+                    retryInMs: this.compensationRetryDelay
+                });
+            }
+        });
+    }
+
+    async getHistory(orderId) {
+        const [saga, steps] = await Promise.all([
+            this.db.query('SELECT * FROM order_sagas WHERE order_id = $1', [orderId]),
+            this.db.query(
+                'SELECT step, status, details, created_at FROM order_saga_steps WHERE order_id = $1 ORDER BY id',
+                [orderId]
+            )
+        ]);
+
+        if (saga.rows.length === 0) {
+            return null;
+        }
+
+        const row = saga.rows[0];
+        return {
+            orderId,
+            status: row.status,
+            currentStep: row.current_step,
+            stepDeadline: row.step_deadline,
+            failureReason: row.failure_reason,
+            context: row.context,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            steps: steps.rows
+        };
+    }
+}
+
+OrderSaga.STEPS = STEPS;
+
+module.exports = OrderSaga;
@@ -0,0 +1,126 @@
+const STATUSES = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    SHIPPED: 'shipped',
+    DELIVERED: 'delivered',
+    CANCELLED: 'cancelled',
+    PAYMENT_FAILED: 'payment_failed',
+    // Left unpaid past ORDER_PAYMENT_TIMEOUT_MS (see order-expiry.js)
+    EXPIRED: 'expired'
+};
+
+// Allowed next statuses; anything not listed is rejected
+const TRANSITIONS = {
+    [STATUSES.PENDING]: [STATUSES.CONFIRMED, STATUSES.PAYMENT_FAILED, STATUSES.CANCELLED, STATUSES.EXPIRED],
+    [STATUSES.CONFIRMED]: [STATUSES.SHIPPED, STATUSES.CANCELLED],
+    [STATUSES.SHIPPED]: [STATUSES.DELIVERED],
+    [STATUSES.DELIVERED]: [],
+    [STATUSES.PAYMENT_FAILED]: [],
+    [STATUSES.CANCELLED]: [],
+    [STATUSES.EXPIRED]: []
+};
+
+// Timestamp column stamped when an order enters the status
+const STATUS_TIMESTAMPS = {
+    [STATUSES.SHIPPED]: 'shipped_at',
+    [STATUSES.DELIVERED]: 'delivered_at'
+};
+
+class InvalidTransitionError extends Error {
+    constructor(orderId, from, to) {
+        super(`Order ${orderId} cannot move from ${from} to ${to}`);
+        this.name = 'InvalidTransitionError';
+        this.orderId = orderId;
+        this.from = from;
+        this.to = to;
+        this.allowed = TRANSITIONS[from] || [];
+    }
+}
+
+class OrderNotFoundError extends Error {
+    constructor(orderId) {
+        super(`Order ${orderId} not found`);
+        this.name = 'OrderNotFoundError';
+        this.orderId = orderId;
+    }
+}
+
+// The only code that changes orders.status. Each transition is checked against
+// TRANSITIONS, recorded in order_status_history and published as
+// order.status_changed through the outbox, all in the caller's transaction.
+class OrderStateMachine {
+    constructor(outbox) {
+        this.outbox = outbox;
+    }
+
+    canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    // History entry for a newly inserted order
+    async recordCreated(client, orderId, actor) {
+        await client.query(
+            'INSERT INTO order_status_history (order_id, from_status, to_status, actor) VALUES ($1, NULL, $2, $3)',
+            [orderId, STATUSES.PENDING, actor]
+        );
+    }
+
+    // options: actor (who asked: 'customer', 'admin', 'saga'...), reason, details
+    // (stored with the history row and published with the event) and fields (extra
+    // order columns to set, e.g. { tracking_number }). Resolves with the updated order.
+    async transition(client, orderId, to, { actor, reason = null, details = {}, fields = {} } = {}) {
+        const result = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+        if (result.rows.length === 0) {
+            throw new OrderNotFoundError(orderId);
+        }
+
+        const from = result.rows[0].status;
+        if (!this.canTransition(from, to)) {
+            throw new InvalidTransitionError(orderId, from, to);
+        }
+
+        const columns = { ...fields };
+        if (STATUS_TIMESTAMPS[to]) {
+            columns[STATUS_TIMESTAMPS[to]] = new Date();
+        }
+        const names = Object.keys(columns);
+        const assignments = names.map((name, index) => `, ${name} = $${index + 3}`).join('');
+
+        const updated = await client.query(
+            `UPDATE orders SET status = $2, updated_at = CURRENT_TIMESTAMP${assignments}
+             WHERE id = $1 RETURNING *`,
+            [orderId, to, ...names.map(name => columns[name])]
+        );
+
+        await client.query(
+            `INSERT INTO order_status_history (order_id, from_status, to_status, actor, reason, details)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [orderId, from, to, actor, reason, JSON.stringify(details)]
+        );
+
+        await this.outbox.add(client, 'order.status_changed', {
+            orderId,
+            previousStatus: from,
+            status: to,
+            ...(reason && { reason }),
+            ...details,
+            timestamp: new Date().toISOString()
+        });
+
+        return updated.rows[0];
+    }
+
+    async getHistory(db, orderId) {
+        const result = await db.query(
+            `SELECT from_status, to_status, actor, reason, details, created_at
+             FROM order_status_history WHERE order_id = $1 ORDER BY id`,
+            [orderId]
+        );
+        return result.rows;
+    }
+}
+
+OrderStateMachine.STATUSES = STATUSES;
+OrderStateMachine.TRANSITIONS = TRANSITIONS;
+
+module.exports = { OrderStateMachine, InvalidTransitionError, OrderNotFoundError };
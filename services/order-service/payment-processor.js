@@ -0,0 +1,224 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../../shared/logger');
+const { PaymentProviderError } = require('./payment-providers');
+
+// Payments that took money and so can be (further) refunded
+const REFUNDABLE_STATUSES = ['authorized', 'captured', 'partially_refunded'];
+
+const toCents = amount => Math.round(parseFloat(amount) * 100);
+
+// Talks to the payment provider and keeps one `payments` row per attempt. Provider
+// calls are never made inside a database transaction; the saga only learns the
+// outcome once it is recorded here.
+class PaymentProcessor {
+    constructor(db, provider, outbox, options = {}) {
+        this.db = db;
+        this.provider = provider;
+        this.outbox = outbox;
+        this.logger = (options.logger || logger).child({ component: 'PaymentProcessor', provider: provider.name });
+    }
+
+    // Resolves with { status: 'authorized' | 'declined' | 'error', declineCode, message }
+    async authorize(payment, cardNumber = null) {
+        await this.db.query(
+            `INSERT INTO payments (id, order_id, provider, payment_method, card_last4, amount, status)
+             VALUES ($1, $2, $3, $4, $5, $6, 'pending')`,
+            [payment.paymentId, payment.orderId, this.provider.name, payment.paymentMethod,
+                cardNumber ? cardNumber.replace(/\D/g, '').slice(-4) : null, payment.amount]
+        );
+
+        const request = {
+            paymentId: payment.paymentId,
+            orderId: payment.orderId,
+            amount: payment.amount,
+            paymentMethod: payment.paymentMethod,
+            cardNumber
+        };
+
+        let result;
+        try {
+            result = await this.provider.authorize(request);
+        } catch (error) {
+            result = await this.reconcile(request, error);
+        }
+
+        await this.db.query(
+            `UPDATE payments
+             SET status = $2, provider_reference = $3, decline_code = $4, error = $5, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [payment.paymentId, result.status, result.reference || null, result.declineCode || null, result.message || null]
+        );
+
+        return result;
+    }
+
+    // The authorization may have gone through even though the call failed (e.g. a
+    // timeout after the provider charged), so ask the provider before giving up
+    async reconcile(request, error) {
+        this.logger.warn('Payment authorization call failed', { paymentId: request.paymentId, error });
+
+        try {
+            const status = await this.provider.status(request);
+            if (status.status === 'authorized' || status.status === 'declined') {
+                return { status: status.status, reference: status.reference };
+            }
+        } catch (statusError) {
+            this.logger.warn('Payment status check failed', { paymentId: request.paymentId, error: statusError });
+        }
+
+        return {
+            status: 'error',
+            declineCode: error instanceof PaymentProviderError ? error.code : 'provider_error',
+            message: error.message
+        };
+    }
+
+    // Settles an authorization once the order is confirmed. Failures are logged and
+    // leave the payment authorized; the order is confirmed either way.
+    async capture(paymentId) {
+        const payment = await this.get(paymentId);
+        if (!payment || payment.status !== 'authorized') {
+            return payment;
+        }
+
+        try {
+            await this.provider.capture({
+                paymentId,
+                reference: payment.provider_reference,
+                amount: parseFloat(payment.amount)
+            });
+        } catch (error) {
+            this.logger.error('Payment capture failed', { paymentId, orderId: payment.order_id, error });
+            return payment;
+        }
+
+        const result = await this.db.query(
+            `UPDATE payments SET status = 'captured', captured_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'authorized'
+             RETURNING *`,
+            [paymentId]
+        );
+        return result.rows[0] || this.get(paymentId);
+    }
+
+    // Call in the transaction that undoes the sale. Records a refund of `amount`, or of
+    // everything not yet refunded when amount is null, and publishes payment.refunded;
+    // the provider is called when that event is handled (processRefund). Resolves with
+    // the refund row, or null when nothing is left to refund.
+    async requestRefund(client, paymentId, { amount = null, reason }) {
+        const result = await client.query(
+            `SELECT p.*, (SELECT COALESCE(SUM(r.amount), 0) FROM payment_refunds r WHERE r.payment_id = p.id) AS refund_total
+             FROM payments p WHERE p.id = $1
+             FOR UPDATE OF p`,
+            [paymentId]
+        );
+        const payment = result.rows[0];
+
+        if (!payment || !REFUNDABLE_STATUSES.includes(payment.status)) {
+            this.logger.warn('Refund requested for a payment that was not taken', {
+                paymentId,
+                status: payment ? payment.status : null
+            });
+            return null;
+        }
+
+        // Work in cents to avoid float drift on repeated partial refunds
+        const refundableCents = toCents(payment.amount) - toCents(payment.refund_total);
+        const cents = amount === null ? refundableCents : Math.min(toCents(amount), refundableCents);
+        if (cents <= 0) {
+            return null;
+        }
+
+        const refund = await client.query(
+            `INSERT INTO payment_refunds (id, payment_id, order_id, amount, reason)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [uuidv4(), paymentId, payment.order_id, cents / 100, reason]
+        );
+
+        await this.outbox.add(client, 'payment.refunded', {
+            orderId: payment.order_id,
+            paymentId,
+            refundId: refund.rows[0].id,
+            amount: cents / 100,
+            reason,
+            timestamp: new Date().toISOString()
+        });
+
+        return refund.rows[0];
+    }
+
+    // Handles payment.refunded. Each refund is sent to the provider once; throws on
+    // provider errors so the broker retries.
+    async processRefund({ paymentId, refundId, amount, reason }) {
+        const refund = refundId ? await this.getRefund(refundId) : null;
+        if (!refund) {
+            this.logger.warn('Refund not found, ignored', { paymentId, refundId });
+            return;
+        }
+        if (refund.status === 'completed') {
+            return;
+        }
+
+        const payment = await this.get(paymentId);
+        const result = await this.provider.refund({
+            paymentId,
+            refundId,
+            reference: payment.provider_reference,
+            amount
+        });
+
+        await this.db.withTransaction(async (client) => {
+            const completed = await client.query(
+                `UPDATE payment_refunds SET status = 'completed', provider_reference = $2, completed_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND status = 'pending'`,
+                [refundId, result.reference || null]
+            );
+            if (completed.rowCount === 0) {
+                return;
+            }
+
+            await client.query(
+                `UPDATE payments
+                 SET refunded_amount = refunded_amount + $2,
+                     status = CASE WHEN refunded_amount + $2 >= amount THEN 'refunded' ELSE 'partially_refunded' END,
+                     refunded_at = CURRENT_TIMESTAMP,
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [paymentId, amount]
+            );
+        });
+        this.logger.info('Payment refunded', { paymentId, refundId, orderId: payment.order_id, amount, reason });
+    }
+
+    async getRefund(refundId) {
+        const result = await this.db.query('SELECT * FROM payment_refunds WHERE id = $1', [refundId]);
+        return result.rows[0] || null;
+    }
+
+    async get(paymentId) {
+        const result = await this.db.query('SELECT * FROM payments WHERE id = $1', [paymentId]);
+        return result.rows[0] || null;
+    }
+
+    async listForOrder(orderId) {
+        const result = await this.db.query(
+            `SELECT id, provider, provider_reference, payment_method, card_last4, amount, status, decline_code,
+                    error, refunded_amount, captured_at, refunded_at, created_at, updated_at
+             FROM payments WHERE order_id = $1 ORDER BY created_at`,
+            [orderId]
+        );
+        return result.rows;
+    }
+
+    async listRefundsForOrder(orderId) {
+        const result = await this.db.query(
+            `SELECT id, payment_id, amount, reason, status, provider_reference, created_at, completed_at
+             FROM payment_refunds WHERE order_id = $1 ORDER BY created_at`,
+            [orderId]
+        );
+        return result.rows;
+    }
+}
+
+module.exports = PaymentProcessor;
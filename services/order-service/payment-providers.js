@@ -0,0 +1,255 @@
+const redis = require('redis');
+const { logger } = require('../../shared/logger');
+
+// Failures talking to a provider (network, timeouts, provider outages). A declined
+// payment is not an error: authorize() resolves with status 'declined'.
+class PaymentProviderError extends Error {
+    constructor(provider, message, { code = 'provider_error', retryable = true } = {}) {
+        super(`${provider}: ${message}`);
+        this.name = 'PaymentProviderError';
+        this.provider = provider;
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+// Interface every payment gateway adapter implements. Calls are keyed by our
+// paymentId so a retried call after a timeout can't charge twice.
+//   authorize({ paymentId, orderId, amount, paymentMethod, cardNumber })
+//       -> { status: 'authorized' | 'declined', reference, declineCode?, message? }
+//   capture({ paymentId, reference, amount })  -> { status: 'captured' }
+//   refund({ paymentId, refundId, reference, amount })   -> { status: 'refunded', reference }
+//       amount may be less than the payment (partial refund); keyed by refundId
+//   status({ paymentId, reference })
+//       -> { status: 'authorized' | 'declined' | 'captured' | 'partially_refunded' | 'refunded' | 'not_found', reference }
+//   connect() / disconnect()   optional, for adapters holding connections
+class PaymentProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async connect() {}
+
+    async disconnect() {}
+
+    async authorize() {
+        throw new Error(`${this.name} does not implement authorize`);
+    }
+
+    async capture() {
+        throw new Error(`${this.name} does not implement capture`);
+    }
+
+    async refund() {
+        throw new Error(`${this.name} does not implement refund`);
+    }
+
+    async status() {
+        throw new Error(`${this.name} does not implement status`);
+    }
+}
+
+// Test cards for the fake provider; any other card number is authorized
+const TEST_CARDS = {
+    '4000000000000002': { decline: 'card_declined' },
+    '4000000000009995': { decline: 'insufficient_funds' },
+    '4000000000000069': { decline: 'expired_card' },
+    '4000000000000119': { error: 'processing_error' }
+};
+
+// Outcomes by the cents of the amount, for methods without a card number
+const TEST_AMOUNT_CENTS = {
+    91: { decline: 'card_declined' },
+    92: { decline: 'insufficient_funds' },
+    99: { error: 'processing_error' }
+};
+
+// Where the fake keeps its payments and refunds. Memory is per process, so a
+// deployment running several replicas shares the state through Redis instead:
+// capture, refund and status calls can reach a replica other than the one that
+// authorized the payment.
+class MemoryFakeState {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(key) {
+        return this.records.get(key) || null;
+    }
+
+    async set(key, record) {
+        this.records.set(key, record);
+    }
+
+    async connect() {}
+
+    async disconnect() {}
+}
+
+class RedisFakeState {
+    constructor(options = {}) {
+        this.ttlSeconds = options.ttlSeconds || 7 * 24 * 60 * 60;
+        this.logger = (options.logger || logger).child({ component: 'FakePaymentState' });
+        this.client = null;
+        this.isConnected = false;
+    }
+
+    async connect() {
+        this.client = redis.createClient({
+            socket: {
+                host: process.env.REDIS_HOST || 'redis',
+                port: parseInt(process.env.REDIS_PORT) || 6379
+            }
+        });
+        this.client.on('error', (error) => {
+            this.logger.error('Fake payment state client error', { error });
+        });
+        await this.client.connect();
+        this.isConnected = true;
+    }
+
+    async disconnect() {
+        if (this.isConnected) {
+            this.isConnected = false;
+            await this.client.quit();
+        }
+    }
+
+    async get(key) {
+        const record = await this.connected().get(`fake-payments:${key}`);
+        return record ? JSON.parse(record) : null;
+    }
+
+    async set(key, record) {
+        await this.connected().set(`fake-payments:${key}`, JSON.stringify(record), { EX: this.ttlSeconds });
+    }
+
+    connected() {
+        if (!this.isConnected) {
+            throw new PaymentProviderError('fake', 'State store is not connected', { code: 'state_unavailable' });
+        }
+        return this.client;
+    }
+}
+
+// Deterministic local provider for development and tests: no network, and the
+// outcome depends only on the card number or the amount. State is kept in memory,
+// or in Redis with FAKE_PAYMENT_STATE=redis (see MemoryFakeState).
+class FakePaymentProvider extends PaymentProvider {
+    constructor(options = {}) {
+        super('fake');
+        this.state = options.state || new MemoryFakeState();
+    }
+
+    async connect() {
+        await this.state.connect();
+    }
+
+    async disconnect() {
+        await this.state.disconnect();
+    }
+
+    outcomeFor({ cardNumber, amount }) {
+        if (cardNumber) {
+            return TEST_CARDS[cardNumber.replace(/\D/g, '')] || {};
+        }
+        return TEST_AMOUNT_CENTS[Math.round(amount * 100) % 100] || {};
+    }
+
+    async authorize({ paymentId, amount, paymentMethod, cardNumber }) {
+        const existing = await this.state.get(`payment:${paymentId}`);
+        if (existing) {
+            return { ...existing.result };
+        }
+
+        const outcome = this.outcomeFor({ cardNumber, amount });
+        if (outcome.error) {
+            throw new PaymentProviderError(this.name, `Simulated ${outcome.error}`, { code: outcome.error });
+        }
+
+        const reference = `fake_${paymentId}`;
+        const result = outcome.decline
+            ? { status: 'declined', reference, declineCode: outcome.decline, message: `Payment declined: ${outcome.decline}` }
+            : { status: 'authorized', reference };
+
+        await this.state.set(`payment:${paymentId}`, { status: result.status, amount, paymentMethod, result });
+        return { ...result };
+    }
+
+    async capture({ paymentId, reference }) {
+        const payment = await this.state.get(`payment:${paymentId}`);
+        if (payment && payment.status !== 'authorized' && payment.status !== 'captured') {
+            throw new PaymentProviderError(this.name, `Cannot capture a ${payment.status} payment`, {
+                code: 'invalid_state',
+                retryable: false
+            });
+        }
+        if (payment) {
+            await this.state.set(`payment:${paymentId}`, { ...payment, status: 'captured' });
+        }
+        return { status: 'captured', reference };
+    }
+
+    async refund({ paymentId, refundId, reference, amount }) {
+        const refunded = await this.state.get(`refund:${refundId}`);
+        if (refunded) {
+            return { ...refunded };
+        }
+
+        const payment = await this.state.get(`payment:${paymentId}`);
+        if (payment && payment.status === 'declined') {
+            throw new PaymentProviderError(this.name, 'Cannot refund a declined payment', {
+                code: 'invalid_state',
+                retryable: false
+            });
+        }
+        if (payment) {
+            const total = (payment.refunded || 0) + amount;
+            await this.state.set(`payment:${paymentId}`, {
+                ...payment,
+                refunded: total,
+                status: total >= payment.amount ? 'refunded' : 'partially_refunded'
+            });
+        }
+
+        const result = { status: 'refunded', reference: `fake_refund_${refundId}` };
+        await this.state.set(`refund:${refundId}`, result);
+        return { ...result };
+    }
+
+    async status({ paymentId }) {
+        const payment = await this.state.get(`payment:${paymentId}`);
+        return payment
+            ? { status: payment.status, reference: payment.result.reference }
+            : { status: 'not_found', reference: null };
+    }
+}
+
+const providers = {
+    fake: () => new FakePaymentProvider({
+        state: process.env.FAKE_PAYMENT_STATE === 'redis' ? new RedisFakeState() : new MemoryFakeState()
+    })
+};
+
+// Adapters for real gateways register a factory here
+function registerPaymentProvider(name, factory) {
+    providers[name] = factory;
+}
+
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'fake') {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return factory();
+}
+
+module.exports = {
+    PaymentProvider,
+    PaymentProviderError,
+    FakePaymentProvider,
+    MemoryFakeState,
+    RedisFakeState,
+    registerPaymentProvider,
+    createPaymentProvider
+};
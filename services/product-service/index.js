@@ -1,114 +1,376 @@
+const path = require('path');
 const express = require('express');
 const Joi = require('joi');
-const { Client } = require('pg');
 const redis = require('redis');
 const BaseService = require('../../shared/base-service');
+const Database = require('../../shared/database');
+const MigrationRunner = require('../../shared/migration-runner');
+const MessageBroker = require('../../shared/message-broker');
+const Outbox = require('../../shared/outbox');
+const createDeadLetterRouter = require('../../shared/dead-letter-routes');
 const CircuitBreaker = require('../../shared/circuit-breaker');
 
 class ProductService extends BaseService {
     constructor() {
         super('product-service', 3002);
-        this.db = null;
+        this.db = new Database({
+            host: 'postgres-product',
+            database: 'productdb'
+        });
+        this.migrations = new MigrationRunner(this.db, {
+            directory: path.join(__dirname, 'migrations')
+        });
+        this.messageBroker = new MessageBroker({ consumerGroup: this.serviceName });
+        this.outbox = new Outbox(this.db, this.messageBroker);
         this.cache = null;
         this.circuitBreaker = null;
+        // Used for products with no threshold of their own or of their category
+        this.defaultLowStockThreshold = process.env.LOW_STOCK_THRESHOLD !== undefined
+            ? parseInt(process.env.LOW_STOCK_THRESHOLD)
+            : 10;
+        this.setupMetrics();
         this.setupRoutes();
         this.connectToDatabase();
         this.connectToCache();
+        this.connectToMessageBroker();
         this.setupCircuitBreaker();
+        this.setupHealthChecks();
+        this.setupShutdownHooks();
     }
 
-    async connectToDatabase() {
-        this.db = new Client({
-            host: process.env.POSTGRES_HOST || 'postgres-product',
-            port: process.env.POSTGRES_PORT || 5432,
-            database: process.env.POSTGRES_DB || 'productdb',
-            user: process.env.POSTGRES_USER || 'postgres',
-            password: process.env.POSTGRES_PASSWORD || 'password'
+    setupHealthChecks() {
+        this.healthChecks.register('postgres', async () => {
+            await this.db.ping();
+            return this.db.getStats();
+        });
+        this.healthChecks.register('message-broker', () => this.messageBroker.isHealthy());
+        // Cache is optional: reads fall back to PostgreSQL when Redis is down
+        this.healthChecks.register('cache', async () => {
+            await this.cache.ping();
+        }, { critical: false });
+        this.healthChecks.register('database-breaker', () => {
+            const stats = this.circuitBreaker.getStats();
+            return { healthy: stats.state !== 'OPEN', ...stats };
+        });
+    }
+
+    setupShutdownHooks() {
+        this.onShutdown('outbox', () => this.outbox.stop());
+        this.onShutdown('message-broker', async (remainingMs) => {
+            // Leave part of the budget for the hooks that follow
+            await this.messageBroker.drain(Math.max(remainingMs - 2000, 0));
+            await this.messageBroker.disconnect();
         });
+        this.onShutdown('postgres', () => this.db.close());
+        this.onShutdown('cache', () => this.cache.quit());
+    }
 
+    async connectToDatabase() {
         try {
             await this.db.connect();
-            await this.createTables();
-            await this.seedData();
-            console.log('[ProductService] Connected to PostgreSQL');
+            await this.migrations.up();
+            this.logger.info('Connected to PostgreSQL');
+            this.outbox.start();
         } catch (error) {
-            console.error('[ProductService] Database connection failed:', error);
+            this.logger.error('Database connection failed', { error });
         }
     }
 
     async connectToCache() {
         try {
             this.cache = redis.createClient({
-                host: process.env.REDIS_HOST || 'redis',
-                port: process.env.REDIS_PORT || 6379
+                socket: {
+                    host: process.env.REDIS_HOST || 'redis',
+                    port: parseInt(process.env.REDIS_PORT) || 6379
+                }
+            });
+            this.cache.on('error', (error) => {
+                this.logger.error('Cache client error', { error });
             });
             await this.cache.connect();
-            console.log('[ProductService] Connected to Redis cache');
+            this.logger.info('Connected to Redis cache');
         } catch (error) {
-            console.error('[ProductService] Cache connection failed:', error);
+            this.logger.error('Cache connection failed', { error });
+        }
+    }
+
+    async connectToMessageBroker() {
+        try {
+            await this.messageBroker.connect();
+            await this.setupEventHandlers();
+        } catch (error) {
+            this.logger.error('MessageBroker connection failed', { error });
+        }
+    }
+
+    async setupEventHandlers() {
+        await Promise.all([
+            // Stock reservations requested by OrderService
+            this.messageBroker.subscribe('inventory.reserve', (data) => this.reserveStock(data), { validate: true }),
+
+            // Stock released when an order is cancelled
+            this.messageBroker.subscribe('inventory.restore', (data) => this.restoreStock(data), { validate: true })
+        ]);
+    }
+
+    // Decrements stock only if enough is left; the reservation row makes
+    // redelivered events a no-op
+    async reserveStock({ orderId, productId, quantity }) {
+        const outcome = await this.db.withTransaction(async (client) => {
+            const claimed = await client.query(
+                `INSERT INTO inventory_reservations (order_id, product_id, quantity, status)
+                 VALUES ($1, $2, $3, 'pending')
+                 ON CONFLICT (order_id, product_id) DO NOTHING`,
+                [orderId, productId, quantity]
+            );
+            if (claimed.rowCount === 0) {
+                return null;
+            }
+
+            const updated = await client.query(
+                `UPDATE products
+                 SET stock_quantity = stock_quantity - $1, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $2 AND stock_quantity >= $1
+                 RETURNING stock_quantity`,
+                [quantity, productId]
+            );
+
+            if (updated.rows.length > 0) {
+                await client.query(
+                    `UPDATE inventory_reservations SET status = 'reserved', updated_at = CURRENT_TIMESTAMP
+                     WHERE order_id = $1 AND product_id = $2`,
+                    [orderId, productId]
+                );
+                await this.outbox.add(client, 'inventory.reserved', {
+                    orderId,
+                    productId,
+                    quantity,
+                    remainingQuantity: updated.rows[0].stock_quantity
+                });
+                await this.checkLowStock(client, productId);
+                return 'reserved';
+            }
+
+            const product = await client.query('SELECT stock_quantity FROM products WHERE id = $1', [productId]);
+            const reason = product.rows.length === 0 ? 'product_not_found' : 'insufficient_stock';
+
+            await client.query(
+                `UPDATE inventory_reservations SET status = 'failed', reason = $3, updated_at = CURRENT_TIMESTAMP
+                 WHERE order_id = $1 AND product_id = $2`,
+                [orderId, productId, reason]
+            );
+            await this.outbox.add(client, 'inventory.reservation_failed', {
+                orderId,
+                productId,
+                quantity,
+                reason,
+                availableQuantity: product.rows.length > 0 ? product.rows[0].stock_quantity : 0
+            });
+            return reason;
+        });
+
+        if (!outcome) {
+            this.logger.info('Duplicate reservation ignored', { orderId, productId });
+            return;
+        }
+
+        this.logger.info('Stock reservation processed', { orderId, productId, quantity, outcome });
+        this.outbox.relay();
+        if (outcome === 'reserved') {
+            await this.invalidateProductCache(productId);
         }
     }
 
+    // Gives back exactly what was reserved for the order, at most once
+    async restoreStock({ orderId, productId, quantity, releaseId }) {
+        if (releaseId) {
+            return this.releaseStock({ orderId, productId, quantity, releaseId });
+        }
+
+        const restored = await this.db.withTransaction(async (client) => {
+            // Restore before reserve (out-of-order delivery): record the release so
+            // the late reserve is ignored instead of holding stock for a dead order
+            const tombstone = await client.query(
+                `INSERT INTO inventory_reservations (order_id, product_id, quantity, status)
+                 VALUES ($1, $2, $3, 'released')
+                 ON CONFLICT (order_id, product_id) DO NOTHING`,
+                [orderId, productId, quantity]
+            );
+            if (tombstone.rowCount > 0) {
+                return 0;
+            }
+
+            const released = await client.query(
+                `UPDATE inventory_reservations SET status = 'released', updated_at = CURRENT_TIMESTAMP
+                 WHERE order_id = $1 AND product_id = $2 AND status = 'reserved'
+                 RETURNING quantity`,
+                [orderId, productId]
+            );
+            if (released.rows.length === 0) {
+                return 0;
+            }
+
+            await client.query(
+                'UPDATE products SET stock_quantity = stock_quantity + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [released.rows[0].quantity, productId]
+            );
+            await this.checkLowStock(client, productId);
+            return released.rows[0].quantity;
+        });
+
+        if (restored === 0) {
+            this.logger.info('Nothing reserved to restore', { orderId, productId });
+            return;
+        }
+
+        this.logger.info('Stock restored', { orderId, productId, quantity: restored });
+        await this.invalidateProductCache(productId);
+    }
+
+    // Gives back part of a reservation, once per release id. OrderService only removes
+    // items from orders whose reservation completed, so there is no tombstone case.
+    async releaseStock({ orderId, productId, quantity, releaseId }) {
+        const released = await this.db.withTransaction(async (client) => {
+            const reservation = await client.query(
+                `SELECT quantity FROM inventory_reservations
+                 WHERE order_id = $1 AND product_id = $2 AND status = 'reserved'
+                 FOR UPDATE`,
+                [orderId, productId]
+            );
+            const applies = reservation.rows.length > 0 && reservation.rows[0].quantity >= quantity;
+
+            const claimed = await client.query(
+                `INSERT INTO inventory_releases (release_id, product_id, order_id, quantity, applied)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (release_id, product_id) DO NOTHING`,
+                [releaseId, productId, orderId, quantity, applies]
+            );
+            if (claimed.rowCount === 0 || !applies) {
+                return 0;
+            }
+
+            await client.query(
+                `UPDATE inventory_reservations
+                 SET quantity = quantity - $3,
+                     status = CASE WHEN quantity = $3 THEN 'released' ELSE status END,
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE order_id = $1 AND product_id = $2`,
+                [orderId, productId, quantity]
+            );
+            await client.query(
+                'UPDATE products SET stock_quantity = stock_quantity + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [quantity, productId]
+            );
+            await this.checkLowStock(client, productId);
+            return quantity;
+        });
+
+        if (released === 0) {
+            this.logger.info('Partial release ignored', { orderId, productId, releaseId });
+            return;
+        }
+
+        this.logger.info('Stock partially released', { orderId, productId, releaseId, quantity: released });
+        await this.invalidateProductCache(productId);
+    }
+
+    // Call in the transaction that changed the product's stock or threshold. Publishes
+    // inventory.low_stock when stock is at or below the threshold and no alert is
+    // outstanding; re-arms the alert once stock is back above it. Resolves with the
+    // product's resulting low_stock_alerted flag.
+    async checkLowStock(client, productId) {
+        const result = await client.query(
+            `SELECT p.id, p.name, p.stock_quantity, p.low_stock_alerted,
+                    COALESCE(p.low_stock_threshold, c.threshold, $2) AS threshold
+             FROM products p
+             LEFT JOIN category_stock_thresholds c ON c.category = p.category
+             WHERE p.id = $1
+             FOR UPDATE OF p`,
+            [productId, this.defaultLowStockThreshold]
+        );
+        if (result.rows.length === 0) {
+            return false;
+        }
+
+        const product = result.rows[0];
+        const isLow = product.stock_quantity <= product.threshold;
+
+        if (isLow && !product.low_stock_alerted) {
+            await client.query('UPDATE products SET low_stock_alerted = TRUE WHERE id = $1', [productId]);
+            await this.outbox.add(client, 'inventory.low_stock', {
+                productId: product.id,
+                productName: product.name,
+                quantity: product.stock_quantity,
+                threshold: product.threshold
+            });
+            this.logger.info('Low stock detected', {
+                productId,
+                quantity: product.stock_quantity,
+                threshold: product.threshold
+            });
+        } else if (!isLow && product.low_stock_alerted) {
+            await client.query('UPDATE products SET low_stock_alerted = FALSE WHERE id = $1', [productId]);
+            this.logger.info('Stock replenished above threshold', { productId, quantity: product.stock_quantity });
+        }
+        return isLow;
+    }
+
+    async invalidateProductCache(productId) {
+        if (!this.cache) {
+            return;
+        }
+
+        try {
+            await this.cache.del(`product:${productId}`);
+            // Also invalidate product list caches (simplified approach)
+            const keys = await this.cache.keys('products:*');
+            if (keys.length > 0) {
+                await this.cache.del(keys);
+            }
+        } catch (cacheError) {
+            this.logger.error('Cache invalidation error', { error: cacheError });
+        }
+    }
+
+    setupMetrics() {
+        this.cacheHitsCounter = this.metrics.counter(
+            'product_cache_hits_total',
+            'Product cache hits',
+            ['cache']
+        );
+        this.cacheMissesCounter = this.metrics.counter(
+            'product_cache_misses_total',
+            'Product cache misses',
+            ['cache']
+        );
+    }
+
     setupCircuitBreaker() {
         this.circuitBreaker = new CircuitBreaker(
             async (query, params) => {
                 return await this.db.query(query, params);
             },
             {
+                name: 'productDbBreaker',
                 failureThreshold: 5,
                 successThreshold: 2,
-                timeout: 10000,
-                onStateChange: (state) => {
-                    console.log(`[ProductService] Circuit breaker state changed to: ${state}`);
-                }
+                timeout: 10000
             }
         );
     }
 
-    async createTables() {
-        const query = `
-            CREATE TABLE IF NOT EXISTS products (
-                id SERIAL PRIMARY KEY,
-                name VARCHAR(255) NOT NULL,
-                description TEXT,
-                price DECIMAL(10,2) NOT NULL,
-                category VARCHAR(100) NOT NULL,
-                stock_quantity INTEGER DEFAULT 0,
-                sku VARCHAR(100) UNIQUE NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-            
-            CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
-            CREATE INDEX IF NOT EXISTS idx_products_sku ON products(sku);
-        `;
-        await this.db.query(query);
-    }
-
-    async seedData() {
-        const count = await this.db.query('SELECT COUNT(*) FROM products');
-        if (parseInt(count.rows[0].count) === 0) {
-            const products = [
-                ['Laptop Gaming Pro', 'High-performance gaming laptop', 1299.99, 'Electronics', 25, 'LAP-001'],
-                ['Smartphone Ultra', 'Latest generation smartphone', 899.99, 'Electronics', 50, 'PHN-001'],
-                ['Wireless Headphones', 'Noise-cancelling headphones', 199.99, 'Electronics', 100, 'HDP-001'],
-                ['Coffee Maker Deluxe', 'Premium coffee maker', 149.99, 'Home', 30, 'COF-001'],
-                ['Running Shoes Sport', 'Professional running shoes', 129.99, 'Sports', 75, 'SHO-001']
-            ];
-
-            for (const product of products) {
-                await this.db.query(
-                    'INSERT INTO products (name, description, price, category, stock_quantity, sku) VALUES ($1, $2, $3, $4, $5, $6)',
-                    product
-                );
-            }
-            console.log('[ProductService] Sample data seeded');
-        }
-    }
-
     setupRoutes() {
         const router = express.Router();
 
+        // Product ids are positive integers (products.id is an INTEGER)
+        const productIdSchema = Joi.number().integer().min(1).max(2147483647).required();
+        router.param('id', (req, res, next, id) => {
+            if (productIdSchema.validate(id).error) {
+                return res.status(400).json({ error: 'Invalid product ID' });
+            }
+            next();
+        });
+
         // Get all products with pagination and caching - stateless
         router.get('/products', async (req, res) => {
             try {
@@ -125,11 +387,13 @@ class ProductService extends BaseService {
                     try {
                         const cachedData = await this.cache.get(cacheKey);
                         if (cachedData) {
-                            console.log('[ProductService] Cache hit for products');
+                            this.logger.debug('Cache hit for products', { cacheKey });
+                            this.cacheHitsCounter.inc({ cache: 'products' });
                             return res.json(JSON.parse(cachedData));
                         }
+                        this.cacheMissesCounter.inc({ cache: 'products' });
                     } catch (cacheError) {
-                        console.error('[ProductService] Cache read error:', cacheError);
+                        this.logger.error('Cache read error', { error: cacheError });
                     }
                 }
 
@@ -172,13 +436,13 @@ class ProductService extends BaseService {
                     try {
                         await this.cache.setEx(cacheKey, 300, JSON.stringify(response)); // 5 minutes TTL
                     } catch (cacheError) {
-                        console.error('[ProductService] Cache write error:', cacheError);
+                        this.logger.error('Cache write error', { error: cacheError });
                     }
                 }
 
                 res.json(response);
             } catch (error) {
-                console.error('[ProductService] Get products error:', error);
+                this.logger.error('Get products error', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -198,11 +462,13 @@ class ProductService extends BaseService {
                     try {
                         const cachedProduct = await this.cache.get(cacheKey);
                         if (cachedProduct) {
-                            console.log('[ProductService] Cache hit for product:', productId);
+                            this.logger.debug('Cache hit for product', { productId });
+                            this.cacheHitsCounter.inc({ cache: 'product' });
                             return res.json(JSON.parse(cachedProduct));
                         }
+                        this.cacheMissesCounter.inc({ cache: 'product' });
                     } catch (cacheError) {
-                        console.error('[ProductService] Cache read error:', cacheError);
+                        this.logger.error('Cache read error', { error: cacheError });
                     }
                 }
 
@@ -222,13 +488,43 @@ class ProductService extends BaseService {
                     try {
                         await this.cache.setEx(cacheKey, 600, JSON.stringify({ product })); // 10 minutes TTL
                     } catch (cacheError) {
-                        console.error('[ProductService] Cache write error:', cacheError);
+                        this.logger.error('Cache write error', { error: cacheError });
                     }
                 }
 
                 res.json({ product });
             } catch (error) {
-                console.error('[ProductService] Get product error:', error);
+                this.logger.error('Get product error', { productId: req.params.id, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Look up many products in one query (used by OrderService to price orders).
+        // Ids that don't exist are listed in notFound rather than failing the request.
+        router.post('/products/batch', async (req, res) => {
+            try {
+                const schema = Joi.object({
+                    ids: Joi.array().items(Joi.number().integer().positive()).min(1).max(100).unique().required()
+                });
+
+                const { error, value } = schema.validate(req.body);
+                if (error) {
+                    return res.status(400).json({ error: error.details[0].message });
+                }
+
+                const result = await this.circuitBreaker.call(
+                    'SELECT * FROM products WHERE id = ANY($1::int[]) ORDER BY id',
+                    [value.ids]
+                );
+
+                const found = new Set(result.rows.map(product => product.id));
+
+                res.json({
+                    products: result.rows,
+                    notFound: value.ids.filter(id => !found.has(id))
+                });
+            } catch (error) {
+                this.logger.error('Batch get products error', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -260,7 +556,7 @@ class ProductService extends BaseService {
                     limit
                 });
             } catch (error) {
-                console.error('[ProductService] Search error:', error);
+                this.logger.error('Search error', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -299,34 +595,134 @@ class ProductService extends BaseService {
                         break;
                 }
 
-                const result = await this.circuitBreaker.call(updateQuery, params);
+                // The low-stock check sees the new quantity in the same transaction
+                const updatedProduct = await this.db.withTransaction(async (client) => {
+                    const result = await client.query(updateQuery, params);
+                    if (result.rows.length === 0) {
+                        return null;
+                    }
+
+                    const lowStockAlerted = await this.checkLowStock(client, productId);
+                    return { ...result.rows[0], low_stock_alerted: lowStockAlerted };
+                });
 
-                if (result.rows.length === 0) {
+                if (!updatedProduct) {
                     return res.status(404).json({ error: 'Product not found' });
                 }
 
-                const updatedProduct = result.rows[0];
+                this.outbox.relay();
+                await this.invalidateProductCache(productId);
 
-                // Invalidate cache
-                if (this.cache) {
-                    try {
-                        await this.cache.del(`product:${productId}`);
-                        // Also invalidate product list caches (simplified approach)
-                        const keys = await this.cache.keys('products:*');
-                        if (keys.length > 0) {
-                            await this.cache.del(keys);
-                        }
-                    } catch (cacheError) {
-                        console.error('[ProductService] Cache invalidation error:', cacheError);
+                res.json({
+                    message: 'Stock updated successfully',
+                    product: updatedProduct
+                });
+            } catch (error) {
+                this.logger.error('Update stock error', { productId: req.params.id, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        const thresholdSchema = Joi.object({
+            threshold: Joi.number().integer().min(0).allow(null).required()
+        });
+
+        // Set a product's reorder threshold; null falls back to its category's
+        router.put('/products/:id/low-stock-threshold', async (req, res) => {
+            try {
+                const productId = parseInt(req.params.id);
+
+                const { error, value } = thresholdSchema.validate(req.body);
+                if (error) {
+                    return res.status(400).json({ error: error.details[0].message });
+                }
+
+                const product = await this.db.withTransaction(async (client) => {
+                    const result = await client.query(
+                        `UPDATE products SET low_stock_threshold = $1, updated_at = CURRENT_TIMESTAMP
+                         WHERE id = $2 RETURNING *`,
+                        [value.threshold, productId]
+                    );
+                    if (result.rows.length === 0) {
+                        return null;
                     }
+
+                    const lowStockAlerted = await this.checkLowStock(client, productId);
+                    return { ...result.rows[0], low_stock_alerted: lowStockAlerted };
+                });
+
+                if (!product) {
+                    return res.status(404).json({ error: 'Product not found' });
                 }
 
+                this.outbox.relay();
+                await this.invalidateProductCache(productId);
+
                 res.json({
-                    message: 'Stock updated successfully',
-                    product: updatedProduct
+                    message: 'Low stock threshold updated',
+                    product
+                });
+            } catch (error) {
+                this.logger.error('Update low stock threshold error', { productId: req.params.id, error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // List category thresholds and the default
+        router.get('/products/categories/low-stock-thresholds', async (req, res) => {
+            try {
+                const result = await this.db.query(
+                    'SELECT category, threshold, updated_at FROM category_stock_thresholds ORDER BY category'
+                );
+
+                res.json({
+                    defaultThreshold: this.defaultLowStockThreshold,
+                    categories: result.rows
+                });
+            } catch (error) {
+                this.logger.error('Get low stock thresholds error', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Set a category's reorder threshold (null removes it) and re-check its products
+        router.put('/products/categories/:category/low-stock-threshold', async (req, res) => {
+            try {
+                const { category } = req.params;
+
+                const { error, value } = thresholdSchema.validate(req.body);
+                if (error) {
+                    return res.status(400).json({ error: error.details[0].message });
+                }
+
+                const productIds = await this.db.withTransaction(async (client) => {
+                    if (value.threshold === null) {
+                        await client.query('DELETE FROM category_stock_thresholds WHERE category = $1', [category]);
+                    } else {
+                        await client.query(
+                            `INSERT INTO category_stock_thresholds (category, threshold) VALUES ($1, $2)
+                             ON CONFLICT (category) DO UPDATE SET threshold = $2, updated_at = CURRENT_TIMESTAMP`,
+                            [category, value.threshold]
+                        );
+                    }
+
+                    const products = await client.query('SELECT id FROM products WHERE category = $1 ORDER BY id', [category]);
+                    for (const { id } of products.rows) {
+                        await this.checkLowStock(client, id);
+                    }
+                    return products.rows.map(row => row.id);
+                });
+
+                this.outbox.relay();
+
+                res.json({
+                    message: 'Category low stock threshold updated',
+                    category,
+                    threshold: value.threshold,
+                    productsChecked: productIds.length
                 });
             } catch (error) {
-                console.error('[ProductService] Update stock error:', error);
+                this.logger.error('Update category threshold error', { category: req.params.category, error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -340,6 +736,7 @@ class ProductService extends BaseService {
         });
 
         this.addRoutes(router);
+        this.addRoutes(createDeadLetterRouter(this.messageBroker, this.logger));
     }
 }
 
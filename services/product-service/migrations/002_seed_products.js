@@ -0,0 +1,31 @@
+const SAMPLE_PRODUCTS = [
+    ['Laptop Gaming Pro', 'High-performance gaming laptop', 1299.99, 'Electronics', 25, 'LAP-001'],
+    ['Smartphone Ultra', 'Latest generation smartphone', 899.99, 'Electronics', 50, 'PHN-001'],
+    ['Wireless Headphones', 'Noise-cancelling headphones', 199.99, 'Electronics', 100, 'HDP-001'],
+    ['Coffee Maker Deluxe', 'Premium coffee maker', 149.99, 'Home', 30, 'COF-001'],
+    ['Running Shoes Sport', 'Professional running shoes', 129.99, 'Sports', 75, 'SHO-001']
+];
+
+// Sample catalog, only seeded into an empty products table
+module.exports = {
+    async up(client) {
+        const count = await client.query('SELECT COUNT(*) FROM products');
+        if (parseInt(count.rows[0].count) > 0) {
+            return;
+        }
+
+        for (const product of SAMPLE_PRODUCTS) {
+            await client.query(
+                'INSERT INTO products (name, description, price, category, stock_quantity, sku) VALUES ($1, $2, $3, $4, $5, $6)',
+                product
+            );
+        }
+    },
+
+    async down(client) {
+        await client.query(
+            'DELETE FROM products WHERE sku = ANY($1)',
+            [SAMPLE_PRODUCTS.map(product => product[5])]
+        );
+    }
+};
@@ -0,0 +1,34 @@
+// One row per (order, product) so redelivered inventory events are applied once.
+// status: pending -> reserved | failed; reserved -> released. A restore that arrives
+// before its reserve leaves a 'released' row, so the late reserve is ignored.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE inventory_reservations (
+                order_id UUID NOT NULL,
+                product_id INTEGER NOT NULL,
+                quantity INTEGER NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (order_id, product_id)
+            );
+
+            CREATE INDEX idx_inventory_reservations_product_id ON inventory_reservations(product_id);
+        `);
+
+        // A stock level can't go negative, whichever code path changes it
+        await client.query(`
+            UPDATE products SET stock_quantity = 0 WHERE stock_quantity < 0;
+            ALTER TABLE products ADD CONSTRAINT products_stock_quantity_non_negative CHECK (stock_quantity >= 0);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE products DROP CONSTRAINT IF EXISTS products_stock_quantity_non_negative;
+            DROP TABLE IF EXISTS inventory_reservations;
+        `);
+    }
+};
@@ -0,0 +1,26 @@
+// Events written in the same transaction as the stock change; the Outbox relay
+// publishes them in id order and stamps published_at
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE outbox (
+                id BIGSERIAL PRIMARY KEY,
+                channel VARCHAR(100) NOT NULL,
+                payload JSONB NOT NULL,
+                headers JSONB NOT NULL DEFAULT '{}',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                last_error TEXT,
+                next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                published_at TIMESTAMP
+            );
+
+            CREATE INDEX idx_outbox_pending ON outbox(id) WHERE published_at IS NULL;
+            CREATE INDEX idx_outbox_published_at ON outbox(published_at) WHERE published_at IS NOT NULL;
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS outbox');
+    }
+};
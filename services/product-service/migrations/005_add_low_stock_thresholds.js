@@ -0,0 +1,27 @@
+// Reorder thresholds: a product's own low_stock_threshold wins, then its category's,
+// then LOW_STOCK_THRESHOLD. low_stock_alerted is set when inventory.low_stock is
+// published and cleared once stock is replenished above the threshold.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE products
+                ADD COLUMN low_stock_threshold INTEGER CHECK (low_stock_threshold >= 0),
+                ADD COLUMN low_stock_alerted BOOLEAN NOT NULL DEFAULT FALSE;
+
+            CREATE TABLE category_stock_thresholds (
+                category VARCHAR(100) PRIMARY KEY,
+                threshold INTEGER NOT NULL CHECK (threshold >= 0),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS category_stock_thresholds;
+            ALTER TABLE products
+                DROP COLUMN IF EXISTS low_stock_alerted,
+                DROP COLUMN IF EXISTS low_stock_threshold;
+        `);
+    }
+};
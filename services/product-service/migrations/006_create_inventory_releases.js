@@ -0,0 +1,23 @@
+// Partial releases of a reservation (items removed from an order). Keyed by the
+// release id carried on inventory.restore so a redelivered event is applied once.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE inventory_releases (
+                release_id UUID NOT NULL,
+                product_id INTEGER NOT NULL,
+                order_id UUID NOT NULL,
+                quantity INTEGER NOT NULL,
+                applied BOOLEAN NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (release_id, product_id)
+            );
+
+            CREATE INDEX idx_inventory_releases_order_id ON inventory_releases(order_id, product_id);
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS inventory_releases');
+    }
+};
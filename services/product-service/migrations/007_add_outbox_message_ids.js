@@ -0,0 +1,11 @@
+// Each row is published under its own message id, every time it is relayed, so
+// consumers can recognise a row that was sent twice
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE outbox ADD COLUMN message_id UUID NOT NULL DEFAULT gen_random_uuid()');
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE outbox DROP COLUMN message_id');
+    }
+};
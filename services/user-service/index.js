@@ -1,36 +1,55 @@
+const path = require('path');
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const Joi = require('joi');
-const { Client } = require('pg');
 const BaseService = require('../../shared/base-service');
+const Database = require('../../shared/database');
+const MigrationRunner = require('../../shared/migration-runner');
 const MessageBroker = require('../../shared/message-broker');
 
 class UserService extends BaseService {
     constructor() {
         super('user-service', 3001);
-        this.db = null;
-        this.messageBroker = new MessageBroker();
+        this.db = new Database({
+            host: 'postgres-user',
+            database: 'userdb'
+        });
+        this.migrations = new MigrationRunner(this.db, {
+            directory: path.join(__dirname, 'migrations')
+        });
+        this.messageBroker = new MessageBroker({ consumerGroup: this.serviceName });
         this.setupRoutes();
         this.connectToDatabase();
         this.connectToMessageBroker();
+        this.setupHealthChecks();
+        this.setupShutdownHooks();
     }
 
-    async connectToDatabase() {
-        this.db = new Client({
-            host: process.env.POSTGRES_HOST || 'postgres-user',
-            port: process.env.POSTGRES_PORT || 5432,
-            database: process.env.POSTGRES_DB || 'userdb',
-            user: process.env.POSTGRES_USER || 'postgres',
-            password: process.env.POSTGRES_PASSWORD || 'password'
+    setupHealthChecks() {
+        this.healthChecks.register('postgres', async () => {
+            await this.db.ping();
+            return this.db.getStats();
+        });
+        this.healthChecks.register('message-broker', () => this.messageBroker.isHealthy());
+    }
+
+    setupShutdownHooks() {
+        this.onShutdown('message-broker', async (remainingMs) => {
+            // Leave part of the budget for the hooks that follow
+            await this.messageBroker.drain(Math.max(remainingMs - 2000, 0));
+            await this.messageBroker.disconnect();
         });
+        this.onShutdown('postgres', () => this.db.close());
+    }
 
+    async connectToDatabase() {
         try {
             await this.db.connect();
-            await this.createTables();
-            console.log('[UserService] Connected to PostgreSQL');
+            await this.migrations.up();
+            this.logger.info('Connected to PostgreSQL');
         } catch (error) {
-            console.error('[UserService] Database connection failed:', error);
+            this.logger.error('Database connection failed', { error });
         }
     }
 
@@ -38,27 +57,10 @@ class UserService extends BaseService {
         try {
             await this.messageBroker.connect();
         } catch (error) {
-            console.error('[UserService] MessageBroker connection failed:', error);
+            this.logger.error('MessageBroker connection failed', { error });
         }
     }
 
-    async createTables() {
-        const query = `
-            CREATE TABLE IF NOT EXISTS users (
-                id SERIAL PRIMARY KEY,
-                email VARCHAR(255) UNIQUE NOT NULL,
-                password_hash VARCHAR(255) NOT NULL,
-                first_name VARCHAR(100) NOT NULL,
-                last_name VARCHAR(100) NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-            
-            CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-        `;
-        await this.db.query(query);
-    }
-
     setupRoutes() {
         const router = express.Router();
 
@@ -120,7 +122,7 @@ class UserService extends BaseService {
                     }
                 });
             } catch (error) {
-                console.error('[UserService] Registration error:', error);
+                this.logger.error('Registration error', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -186,7 +188,7 @@ class UserService extends BaseService {
                     }
                 });
             } catch (error) {
-                console.error('[UserService] Login error:', error);
+                this.logger.error('Login error', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
@@ -221,7 +223,7 @@ class UserService extends BaseService {
                     }
                 });
             } catch (error) {
-                console.error('[UserService] Get profile error:', error);
+                this.logger.error('Get profile error', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
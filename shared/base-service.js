@@ -1,19 +1,63 @@
 const express = require('express');
 const cors = require('cors');
-const morgan = require('morgan');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const Metrics = require('./metrics');
+const HealthCheckRegistry = require('./health-checks');
+const { IdempotencyStore, idempotencyMiddleware } = require('./idempotency');
+const { tracer } = require('./tracing');
+const { logger } = require('./logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves with the promise's value, or rejects once ms have elapsed
+function withTimeout(promise, ms, label) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), Math.max(ms, 0));
+        })
+    ]).finally(() => clearTimeout(timer));
+}
 
 class BaseService {
     constructor(serviceName, port) {
         this.app = express();
         this.serviceName = serviceName;
         this.port = port;
+        this.metrics = new Metrics(serviceName);
+        this.tracer = tracer.configure(serviceName);
+        this.logger = logger.configure(serviceName);
+        this.healthChecks = new HealthCheckRegistry();
+        // Unconnected until setupIdempotency()
+        this.idempotencyStore = new IdempotencyStore({ namespace: serviceName, logger: this.logger });
+        this.server = null;
+        this.inFlightRequests = 0;
+        this.isShuttingDown = false;
+        this.shutdownHooks = [];
+        this.shutdownTimeout = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 20000;
+        // Time to keep serving after /ready flips, so load balancers stop routing here
+        this.shutdownReadyDelay = parseInt(process.env.SHUTDOWN_READY_DELAY_MS) || 0;
         this.setupMiddleware();
         this.setupHealthCheck();
+        this.setupMetricsEndpoint();
     }
 
     setupMiddleware() {
+        // In-flight request tracking for graceful shutdown
+        this.app.use((req, res, next) => {
+            this.inFlightRequests++;
+            res.once('close', () => {
+                this.inFlightRequests--;
+            });
+
+            if (this.isShuttingDown) {
+                res.set('Connection', 'close');
+            }
+            next();
+        });
+
         // Security middleware
         this.app.use(helmet());
         
@@ -27,19 +71,28 @@ class BaseService {
         const limiter = rateLimit({
             windowMs: 15 * 60 * 1000, // 15 minutes
             max: 100, // limit each IP to 100 requests per windowMs
-            message: 'Too many requests from this IP'
+            message: 'Too many requests from this IP',
+            skip: (req) => req.path === '/metrics'
         });
         this.app.use(limiter);
 
-        // Logging
-        this.app.use(morgan('combined'));
+        // Request metrics
+        this.app.use(this.metrics.middleware());
 
         // Body parsing
         this.app.use(express.json({ limit: '10mb' }));
         this.app.use(express.urlencoded({ extended: true }));
+
+        // Distributed tracing - registered after body parsing so the trace
+        // context stays active for route handlers
+        this.app.use(this.tracer.middleware());
+
+        // Structured request logging with a per-request ID
+        this.app.use(this.logger.requestLogger());
     }
 
     setupHealthCheck() {
+        // Liveness - cheap, never touches dependencies
         this.app.get('/health', (req, res) => {
             res.status(200).json({
                 service: this.serviceName,
@@ -49,23 +102,75 @@ class BaseService {
             });
         });
 
-        this.app.get('/ready', (req, res) => {
-            res.status(200).json({
+        // Readiness - 503 when any critical dependency check fails
+        this.app.get('/ready', async (req, res) => {
+            if (this.isShuttingDown) {
+                return res.status(503).json({
+                    service: this.serviceName,
+                    status: 'shutting_down',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const { ready, status, checks } = await this.healthChecks.run();
+
+            if (!ready) {
+                this.logger.warn('Readiness check failed', { checks });
+            }
+
+            res.status(ready ? 200 : 503).json({
                 service: this.serviceName,
-                status: 'ready',
+                status,
+                checks,
                 timestamp: new Date().toISOString()
             });
         });
     }
 
+    setupMetricsEndpoint() {
+        // Prometheus scrape endpoint (text exposition format)
+        this.app.get('/metrics', (req, res) => this.metrics.handler(req, res));
+    }
+
     addRoutes(router) {
         this.app.use('/api', router);
     }
 
+    // Connects the Redis store behind idempotent(). Services that use idempotent()
+    // call this once at startup.
+    async setupIdempotency() {
+        this.healthChecks.register('idempotency-store', () => this.idempotencyStore.isHealthy(), { critical: false });
+        this.onShutdown('idempotency-store', () => this.idempotencyStore.disconnect());
+
+        try {
+            await this.idempotencyStore.connect();
+        } catch (error) {
+            this.logger.error('Idempotency store connection failed', { error });
+        }
+    }
+
+    // Route middleware: replays the stored response for a repeated Idempotency-Key
+    // (see idempotency.js). options.user picks the user id keys are scoped to.
+    idempotent(options = {}) {
+        return idempotencyMiddleware(this.idempotencyStore, {
+            counter: this.metrics.counter(
+                'idempotency_requests_total',
+                'Requests carrying an Idempotency-Key, by outcome',
+                ['outcome']
+            ),
+            logger: this.logger,
+            ...options
+        });
+    }
+
     // Error handling middleware
     setupErrorHandling() {
         this.app.use((err, req, res, next) => {
-            console.error(`[${this.serviceName}] Error:`, err);
+            this.logger.error('Unhandled request error', {
+                error: err,
+                method: req.method,
+                path: req.originalUrl
+            });
             
             res.status(err.status || 500).json({
                 error: {
@@ -88,22 +193,87 @@ class BaseService {
         });
     }
 
+    // Registers cleanup work run on shutdown, in registration order, after HTTP
+    // traffic has drained. fn receives the milliseconds left before the deadline.
+    onShutdown(name, fn) {
+        this.shutdownHooks.push({ name, fn });
+    }
+
     start() {
         this.setupErrorHandling();
         
-        this.app.listen(this.port, '0.0.0.0', () => {
-            console.log(`[${this.serviceName}] Service running on port ${this.port}`);
+        this.server = this.app.listen(this.port, '0.0.0.0', () => {
+            this.logger.info('Service running', { port: this.port });
         });
 
         // Graceful shutdown
-        process.on('SIGTERM', () => {
-            console.log(`[${this.serviceName}] SIGTERM received, shutting down gracefully`);
-            process.exit(0);
-        });
+        process.once('SIGTERM', () => this.shutdown('SIGTERM'));
+        process.once('SIGINT', () => this.shutdown('SIGINT'));
+    }
+
+    async shutdown(signal) {
+        if (this.isShuttingDown) return;
+        this.isShuttingDown = true;
+
+        const deadline = Date.now() + this.shutdownTimeout;
+        const remaining = () => deadline - Date.now();
+        let clean = true;
+
+        this.logger.info('Shutdown started', { signal, timeoutMs: this.shutdownTimeout });
+
+        // Last resort if a hook ignores its deadline
+        setTimeout(() => {
+            this.logger.error('Shutdown deadline exceeded, forcing exit');
+            process.exit(1);
+        }, this.shutdownTimeout + 1000).unref();
+
+        // 1. /ready now reports 503; give load balancers a moment to notice
+        if (this.shutdownReadyDelay > 0) {
+            await sleep(Math.min(this.shutdownReadyDelay, remaining()));
+        }
+
+        // 2. Stop accepting connections and wait for in-flight requests
+        try {
+            await withTimeout(this.closeServer(), remaining(), 'HTTP drain');
+            this.logger.info('HTTP server closed');
+        } catch (error) {
+            clean = false;
+            this.logger.warn('HTTP drain incomplete, closing remaining connections', {
+                inFlightRequests: this.inFlightRequests,
+                error
+            });
+            this.server?.closeAllConnections?.();
+        }
+
+        // 3. Service hooks: broker drain/disconnect, database, caches...
+        for (const hook of this.shutdownHooks) {
+            try {
+                await withTimeout(Promise.resolve().then(() => hook.fn(remaining())), remaining(), `Shutdown hook ${hook.name}`);
+                this.logger.info('Shutdown hook completed', { hook: hook.name });
+            } catch (error) {
+                clean = false;
+                this.logger.error('Shutdown hook failed', { hook: hook.name, error });
+            }
+        }
+
+        await this.tracer.flush();
+
+        this.logger.info('Shutdown complete', { clean });
+        process.exit(clean ? 0 : 1);
+    }
+
+    closeServer() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            this.server.close((error) => (error ? reject(error) : resolve()));
 
-        process.on('SIGINT', () => {
-            console.log(`[${this.serviceName}] SIGINT received, shutting down gracefully`);
-            process.exit(0);
+            // Keep-alive sockets with no request in flight would hold close() open
+            this.server.closeIdleConnections?.();
+            const idleSweep = setInterval(() => this.server.closeIdleConnections?.(), 250);
+            this.server.once('close', () => clearInterval(idleSweep));
         });
     }
 }
@@ -1,6 +1,12 @@
+const { tracer } = require('./tracing');
+const { logger } = require('./logger');
+
 class CircuitBreaker {
     constructor(request, options = {}) {
         this.request = request;
+        this.name = options.name || 'circuit-breaker';
+        this.tracer = options.tracer || tracer;
+        this.logger = (options.logger || logger).child({ component: 'CircuitBreaker', breaker: this.name });
         this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
         this.failureCount = 0;
         this.successCount = 0;
@@ -12,10 +18,23 @@ class CircuitBreaker {
         this.timeout = options.timeout || 60000; // 1 minute
         this.monitoringPeriod = options.monitoringPeriod || 10000; // 10 seconds
         
-        this.onStateChange = options.onStateChange || (() => {});
+        const onStateChange = options.onStateChange || (() => {});
+        this.onStateChange = (state) => {
+            this.logger[state === 'OPEN' ? 'warn' : 'info']('Circuit breaker state changed', {
+                state,
+                failureCount: this.failureCount
+            });
+            onStateChange(state);
+        };
     }
 
     async call(...args) {
+        return this.tracer.withSpan(`${this.name}.call`, {
+            attributes: { 'circuit_breaker.state': this.state }
+        }, () => this.execute(...args));
+    }
+
+    async execute(...args) {
         if (this.state === 'OPEN') {
             if (Date.now() < this.nextAttempt) {
                 throw new Error(`Circuit breaker is OPEN. Next attempt in ${this.nextAttempt - Date.now()}ms`);
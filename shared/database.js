@@ -0,0 +1,167 @@
+const { Pool } = require('pg');
+const { logger } = require('./logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Errors raised while obtaining a connection (the query never reached the server)
+const CONNECTION_ERROR_CODES = new Set([
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'ENOTFOUND',
+    'ETIMEDOUT',
+    'EAI_AGAIN',
+    '57P01', // admin_shutdown
+    '57P03' // cannot_connect_now (server starting up)
+]);
+
+class Database {
+    // options supply per-service defaults; POSTGRES_* environment variables win
+    constructor(options = {}) {
+        this.config = {
+            host: process.env.POSTGRES_HOST || options.host || 'localhost',
+            port: parseInt(process.env.POSTGRES_PORT) || options.port || 5432,
+            database: process.env.POSTGRES_DB || options.database,
+            user: process.env.POSTGRES_USER || options.user || 'postgres',
+            password: process.env.POSTGRES_PASSWORD || options.password || 'password',
+            max: parseInt(process.env.POSTGRES_POOL_MAX) || options.max || 10,
+            idleTimeoutMillis: options.idleTimeoutMillis || 30000,
+            connectionTimeoutMillis: options.connectionTimeoutMillis || 5000
+        };
+
+        this.retry = {
+            maxAttempts: parseInt(process.env.POSTGRES_CONNECT_RETRIES) || options.maxAttempts || 10,
+            initialDelay: options.initialDelay || 500,
+            maxDelay: options.maxDelay || 30000
+        };
+
+        this.logger = (options.logger || logger).child({ component: 'Database', database: this.config.database });
+        this.pool = this.createPool();
+        this.isConnected = false;
+    }
+
+    createPool() {
+        const pool = new Pool(this.config);
+
+        // An idle client lost its connection (e.g. PostgreSQL restarted). The pool
+        // discards it and opens a fresh one on the next checkout; without this
+        // listener the error would crash the process.
+        pool.on('error', (error) => {
+            this.isConnected = false;
+            this.logger.warn('Idle PostgreSQL client error, connection will be re-established', { error });
+        });
+
+        return pool;
+    }
+
+    // Waits for PostgreSQL to accept connections, retrying with exponential backoff
+    async connect() {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.ping();
+                this.logger.info('PostgreSQL pool ready', { attempt, poolSize: this.config.max });
+                return;
+            } catch (error) {
+                if (attempt >= this.retry.maxAttempts) {
+                    throw error;
+                }
+
+                const delay = this.backoffDelay(attempt);
+                this.logger.warn('PostgreSQL not available, retrying', { attempt, delayMs: delay, error });
+                await sleep(delay);
+            }
+        }
+    }
+
+    backoffDelay(attempt) {
+        const exponential = Math.min(this.retry.initialDelay * 2 ** (attempt - 1), this.retry.maxDelay);
+        // Jitter so replicas don't reconnect in lockstep
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    isConnectionError(error) {
+        return CONNECTION_ERROR_CODES.has(error.code) || /Connection terminated|timeout exceeded when trying to connect/i.test(error.message);
+    }
+
+    // Checks a client out of the pool; connection failures are retried because
+    // no statement has been sent yet, so a retry can never apply a write twice
+    async acquire(attempts = 3) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const client = await this.pool.connect();
+                this.isConnected = true;
+                return client;
+            } catch (error) {
+                this.isConnected = false;
+                if (attempt >= attempts || !this.isConnectionError(error)) {
+                    throw error;
+                }
+                await sleep(this.backoffDelay(attempt));
+            }
+        }
+    }
+
+    async query(text, params) {
+        const client = await this.acquire();
+        let clientError;
+
+        try {
+            return await client.query(text, params);
+        } catch (error) {
+            if (this.isConnectionError(error)) {
+                clientError = error;
+                this.isConnected = false;
+            }
+            throw error;
+        } finally {
+            // Passing the error destroys a broken client instead of returning it to the pool
+            client.release(clientError);
+        }
+    }
+
+    // Runs fn(client) inside BEGIN/COMMIT on a dedicated connection
+    async withTransaction(fn) {
+        const client = await this.acquire();
+        let clientError;
+
+        try {
+            await client.query('BEGIN');
+            const result = await fn(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            try {
+                await client.query('ROLLBACK');
+            } catch (rollbackError) {
+                clientError = rollbackError;
+                this.logger.error('Rollback failed', { error: rollbackError });
+            }
+            if (this.isConnectionError(error)) {
+                clientError = error;
+            }
+            throw error;
+        } finally {
+            client.release(clientError);
+        }
+    }
+
+    async ping() {
+        await this.query('SELECT 1');
+    }
+
+    getStats() {
+        return {
+            connected: this.isConnected,
+            totalCount: this.pool.totalCount,
+            idleCount: this.pool.idleCount,
+            waitingCount: this.pool.waitingCount
+        };
+    }
+
+    async close() {
+        await this.pool.end();
+        this.isConnected = false;
+        this.logger.info('PostgreSQL pool closed');
+    }
+}
+
+module.exports = Database;
@@ -0,0 +1,116 @@
+const express = require('express');
+const Joi = require('joi');
+
+const listSchema = Joi.object({
+    channel: Joi.string(),
+    limit: Joi.number().integer().min(1).max(500).default(50),
+    before: Joi.string().pattern(/^\d+-\d+$/)
+});
+
+const purgeSchema = Joi.object({
+    channel: Joi.string()
+});
+
+const ID_PATTERN = /^\d+-\d+$/;
+
+// Admin endpoints over a service's dead-letter queue. Every service keeps its own
+// queue, so these are served on each service's port rather than through the gateway.
+function createDeadLetterRouter(messageBroker, logger) {
+    const router = express.Router();
+
+    router.param('id', (req, res, next, id) => {
+        if (!ID_PATTERN.test(id)) {
+            return res.status(400).json({ error: 'Invalid dead letter id' });
+        }
+        next();
+    });
+
+    // List dead letters, newest first
+    router.get('/dead-letters', async (req, res) => {
+        try {
+            const { error, value } = listSchema.validate(req.query);
+            if (error) {
+                return res.status(400).json({ error: error.details[0].message });
+            }
+
+            const deadLetters = await messageBroker.listDeadLetters(value);
+
+            res.json({
+                deadLetters,
+                total: await messageBroker.countDeadLetters(),
+                nextBefore: deadLetters.length === value.limit ? deadLetters[deadLetters.length - 1].id : null
+            });
+        } catch (error) {
+            logger.error('List dead letters error', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Inspect a dead letter, including the original message and the last error
+    router.get('/dead-letters/:id', async (req, res) => {
+        try {
+            const deadLetter = await messageBroker.getDeadLetter(req.params.id);
+
+            if (!deadLetter) {
+                return res.status(404).json({ error: 'Dead letter not found' });
+            }
+
+            res.json(deadLetter);
+        } catch (error) {
+            logger.error('Get dead letter error', { deadLetterId: req.params.id, error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Hand the message to the failed subscription again; removed from the queue on success
+    router.post('/dead-letters/:id/replay', async (req, res) => {
+        try {
+            const deadLetter = await messageBroker.replayDeadLetter(req.params.id);
+
+            if (!deadLetter) {
+                return res.status(404).json({ error: 'Dead letter not found' });
+            }
+
+            res.json({ message: 'Dead letter replayed successfully', deadLetter });
+        } catch (error) {
+            logger.warn('Dead letter replay failed', { deadLetterId: req.params.id, error });
+            res.status(422).json({ error: 'Replay failed', details: error.message });
+        }
+    });
+
+    router.delete('/dead-letters/:id', async (req, res) => {
+        try {
+            const purged = await messageBroker.purgeDeadLetters({ id: req.params.id });
+
+            if (purged === 0) {
+                return res.status(404).json({ error: 'Dead letter not found' });
+            }
+
+            res.json({ message: 'Dead letter deleted' });
+        } catch (error) {
+            logger.error('Delete dead letter error', { deadLetterId: req.params.id, error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Purge the whole queue, or only one channel's dead letters with ?channel=
+    router.delete('/dead-letters', async (req, res) => {
+        try {
+            const { error, value } = purgeSchema.validate(req.query);
+            if (error) {
+                return res.status(400).json({ error: error.details[0].message });
+            }
+
+            const purged = await messageBroker.purgeDeadLetters(value);
+
+            res.json({ message: `Purged ${purged} dead letters` });
+        } catch (error) {
+            logger.error('Purge dead letters error', { error });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createDeadLetterRouter;
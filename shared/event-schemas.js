@@ -0,0 +1,277 @@
+const Joi = require('joi');
+
+class EventValidationError extends Error {
+    constructor(eventType, message, details = []) {
+        super(`Invalid ${eventType} event: ${message}`);
+        this.name = 'EventValidationError';
+        this.eventType = eventType;
+        this.details = details;
+    }
+}
+
+// Contracts for every domain event published on the broker. Bump `version` when a
+// change can break subscribers (field removed, renamed or retyped); new optional
+// fields don't need a bump since payloads may carry keys a schema doesn't list.
+class EventSchemaRegistry {
+    constructor() {
+        this.contracts = new Map();
+    }
+
+    register(eventType, { version, description, schema }) {
+        if (!Joi.isSchema(schema)) {
+            throw new Error(`Schema for ${eventType} must be a Joi schema`);
+        }
+        this.contracts.set(eventType, { eventType, version, description, schema });
+        return this;
+    }
+
+    has(eventType) {
+        return this.contracts.has(eventType);
+    }
+
+    get(eventType) {
+        return this.contracts.get(eventType) || null;
+    }
+
+    // Returns an EventValidationError, or null when the payload matches its contract
+    check(eventType, data) {
+        const contract = this.contracts.get(eventType);
+        if (!contract) {
+            return new EventValidationError(eventType, 'event type is not registered');
+        }
+
+        const { error } = contract.schema.validate(data, { abortEarly: false, allowUnknown: true, convert: false });
+        if (error) {
+            return new EventValidationError(
+                eventType,
+                error.message,
+                error.details.map(({ message, path }) => ({ message, path: path.join('.') }))
+            );
+        }
+        return null;
+    }
+
+    assertValid(eventType, data) {
+        const error = this.check(eventType, data);
+        if (error) {
+            throw error;
+        }
+        return this.contracts.get(eventType);
+    }
+
+    describe(eventType) {
+        const { version, description, schema } = this.contracts.get(eventType);
+        return { eventType, version, description, schema: schema.describe() };
+    }
+
+    list() {
+        return Array.from(this.contracts.keys()).sort().map(eventType => this.describe(eventType));
+    }
+}
+
+const userId = Joi.number().integer().positive();
+const orderId = Joi.string().uuid();
+const productId = Joi.number().integer().positive();
+const timestamp = Joi.string().isoDate();
+
+const orderItem = Joi.object({
+    productId: productId.required(),
+    productName: Joi.string().required(),
+    quantity: Joi.number().integer().min(1).required(),
+    unitPrice: Joi.number().min(0).required(),
+    totalPrice: Joi.number().min(0).required()
+});
+
+const inventoryChange = Joi.object({
+    productId: productId.required(),
+    quantity: Joi.number().integer().min(1).required(),
+    orderId: orderId.required()
+});
+
+const payment = Joi.object({
+    orderId: orderId.required(),
+    userId: userId.required(),
+    amount: Joi.number().positive().required(),
+    paymentMethod: Joi.string().required(),
+    paymentId: Joi.string().uuid().required(),
+    timestamp: timestamp.required()
+});
+
+const eventSchemas = new EventSchemaRegistry()
+    .register('user.created', {
+        version: 1,
+        description: 'A user account was registered',
+        schema: Joi.object({
+            userId: userId.required(),
+            email: Joi.string().email().required(),
+            firstName: Joi.string().required(),
+            lastName: Joi.string().required()
+        })
+    })
+    .register('user.login', {
+        version: 1,
+        description: 'A user logged in',
+        schema: Joi.object({
+            userId: userId.required(),
+            email: Joi.string().email().required(),
+            timestamp: timestamp.required()
+        })
+    })
+    .register('order.created', {
+        version: 1,
+        description: 'An order was placed and is pending payment',
+        schema: Joi.object({
+            orderId: orderId.required(),
+            userId: userId.required(),
+            totalAmount: Joi.number().min(0).required(),
+            items: Joi.array().items(orderItem).min(1).required(),
+            timestamp: timestamp.required()
+        })
+    })
+    .register('order.status_changed', {
+        version: 1,
+        description: 'An order moved to a new status',
+        schema: Joi.object({
+            orderId: orderId.required(),
+            previousStatus: Joi.string().allow(null),
+            status: Joi.string().required(),
+            reason: Joi.string(),
+            // Set on the transition to 'shipped'
+            trackingNumber: Joi.string(),
+            carrier: Joi.string(),
+            timestamp: timestamp.required()
+        })
+    })
+    .register('order.items_cancelled', {
+        version: 1,
+        description: 'Line items or quantities were removed from an order',
+        schema: Joi.object({
+            orderId: orderId.required(),
+            userId: userId.required(),
+            cancellationId: Joi.string().uuid().required(),
+            items: Joi.array().items(orderItem).min(1).required(),
+            amount: Joi.number().min(0).required(),
+            totalAmount: Joi.number().min(0).required(),
+            refundId: Joi.string().uuid().allow(null).required(),
+            reason: Joi.string().allow(null),
+            timestamp: timestamp.required()
+        })
+    })
+    .register('order.cancelled', {
+        version: 1,
+        description: 'An order was cancelled, by its owner or because it could not be completed',
+        schema: Joi.object({
+            orderId: orderId.required(),
+            userId: userId.required(),
+            reason: Joi.string(),
+            timestamp: timestamp.required()
+        })
+    })
+    .register('order.expired', {
+        version: 1,
+        description: 'An order was cancelled because it went unpaid for too long',
+        schema: Joi.object({
+            orderId: orderId.required(),
+            userId: userId.required(),
+            totalAmount: Joi.number().min(0).required(),
+            createdAt: timestamp.required(),
+            timestamp: timestamp.required()
+        })
+    })
+    .register('inventory.reserve', {
+        version: 1,
+        description: 'Stock should be reserved for an order item',
+        schema: inventoryChange
+    })
+    .register('inventory.restore', {
+        version: 1,
+        description: 'Stock reserved for an order item should be released',
+        schema: inventoryChange.keys({
+            // Set when only part of the reservation is released (items removed from
+            // the order); without it the whole reservation is released
+            releaseId: Joi.string().uuid()
+        })
+    })
+    .register('inventory.reserved', {
+        version: 1,
+        description: 'Stock was reserved for an order item',
+        schema: inventoryChange.keys({
+            remainingQuantity: Joi.number().integer().min(0).required()
+        })
+    })
+    .register('inventory.reservation_failed', {
+        version: 1,
+        description: 'Stock could not be reserved for an order item',
+        schema: inventoryChange.keys({
+            reason: Joi.string().valid('product_not_found', 'insufficient_stock').required(),
+            availableQuantity: Joi.number().integer().min(0).required()
+        })
+    })
+    .register('inventory.low_stock', {
+        version: 1,
+        description: 'A product\'s stock fell to or below its reorder threshold',
+        schema: Joi.object({
+            productId: productId.required(),
+            productName: Joi.string().required(),
+            quantity: Joi.number().integer().min(0).required(),
+            threshold: Joi.number().integer().min(0).required()
+        })
+    })
+    .register('payment.confirmed', {
+        version: 1,
+        description: 'Payment for an order succeeded',
+        schema: payment
+    })
+    .register('payment.failed', {
+        version: 1,
+        description: 'Payment for an order was declined',
+        schema: payment.keys({
+            error: Joi.string().required()
+        })
+    })
+    .register('payment.refunded', {
+        version: 1,
+        description: 'All or part of an authorized payment is being returned to the customer',
+        schema: Joi.object({
+            orderId: orderId.required(),
+            paymentId: Joi.string().uuid().required(),
+            refundId: Joi.string().uuid(),
+            amount: Joi.number().positive().required(),
+            reason: Joi.string().required(),
+            timestamp: timestamp.required()
+        })
+    })
+    .register('notification.sent', {
+        version: 1,
+        description: 'A notification was delivered on all of its channels',
+        schema: Joi.object({
+            notificationId: Joi.string().required(),
+            type: Joi.string().required(),
+            channels: Joi.array().items(Joi.string()).min(1).required(),
+            userId: userId.allow(null),
+            timestamp: timestamp.required()
+        })
+    })
+    .register('notification.failed', {
+        version: 1,
+        description: 'A notification could not be delivered',
+        schema: Joi.object({
+            notificationId: Joi.string().required(),
+            type: Joi.string().required(),
+            error: Joi.string().required(),
+            timestamp: timestamp.required()
+        })
+    })
+    .register('event.stored', {
+        version: 1,
+        description: 'The event store persisted a domain event',
+        schema: Joi.object({
+            eventId: Joi.string().uuid().required(),
+            eventType: Joi.string().required(),
+            aggregateId: Joi.string().required(),
+            aggregateType: Joi.string().required(),
+            version: Joi.number().integer().min(1).required()
+        })
+    });
+
+module.exports = { EventSchemaRegistry, EventValidationError, eventSchemas };
@@ -0,0 +1,77 @@
+class HealthCheckRegistry {
+    constructor(options = {}) {
+        this.checks = new Map();
+        this.defaultTimeout = options.timeout || 2000;
+    }
+
+    // check() may resolve to true/undefined (up), false (down) or
+    // { healthy, ...details }; throwing or timing out also counts as down.
+    // Non-critical checks are reported but never fail readiness.
+    register(name, check, options = {}) {
+        this.checks.set(name, {
+            check,
+            critical: options.critical !== false,
+            timeout: options.timeout || this.defaultTimeout
+        });
+        return this;
+    }
+
+    unregister(name) {
+        this.checks.delete(name);
+    }
+
+    async runCheck(name, { check, critical, timeout }) {
+        const startTime = Date.now();
+        let timer;
+
+        try {
+            const result = await Promise.race([
+                Promise.resolve().then(() => check()),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error(`Health check timed out after ${timeout}ms`)), timeout);
+                })
+            ]);
+
+            const details = result && typeof result === 'object' ? result : {};
+            const healthy = result === false ? false : details.healthy !== false;
+            const { healthy: _ignored, ...rest } = details;
+
+            return {
+                status: healthy ? 'up' : 'down',
+                critical,
+                durationMs: Date.now() - startTime,
+                ...(Object.keys(rest).length > 0 && { details: rest })
+            };
+        } catch (error) {
+            return {
+                status: 'down',
+                critical,
+                durationMs: Date.now() - startTime,
+                error: error.message
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async run() {
+        const entries = Array.from(this.checks.entries());
+        const results = await Promise.all(entries.map(([name, entry]) => this.runCheck(name, entry)));
+
+        const checks = {};
+        entries.forEach(([name], index) => {
+            checks[name] = results[index];
+        });
+
+        const failing = results.filter(result => result.status === 'down');
+        const ready = !failing.some(result => result.critical);
+
+        return {
+            ready,
+            status: !ready ? 'not_ready' : failing.length > 0 ? 'degraded' : 'ready',
+            checks
+        };
+    }
+}
+
+module.exports = HealthCheckRegistry;
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const redis = require('redis');
+const { logger } = require('./logger');
+
+// Printable ASCII, as for any header value; UUIDs are the usual choice
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// JSON with object keys sorted, so the same body always has the same fingerprint
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Responses stored in Redis per (scope, endpoint, Idempotency-Key). A key is claimed
+// with a short-lived 'processing' record before the handler runs, so a concurrent
+// retry can't run the handler twice; a crashed request frees its key once the
+// claim expires.
+class IdempotencyStore {
+    constructor(options = {}) {
+        this.namespace = options.namespace || 'default';
+        this.ttlSeconds = options.ttlSeconds || parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+        this.lockSeconds = options.lockSeconds || parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+        this.logger = (options.logger || logger).child({ component: 'IdempotencyStore' });
+        this.client = null;
+        this.isConnected = false;
+    }
+
+    async connect() {
+        this.client = redis.createClient({
+            socket: {
+                host: process.env.REDIS_HOST || 'redis',
+                port: parseInt(process.env.REDIS_PORT) || 6379
+            }
+        });
+        this.client.on('error', (error) => {
+            this.logger.error('Idempotency store client error', { error });
+        });
+        await this.client.connect();
+        this.isConnected = true;
+        this.logger.info('Idempotency store connected', { ttlSeconds: this.ttlSeconds });
+    }
+
+    async disconnect() {
+        if (this.isConnected) {
+            this.isConnected = false;
+            await this.client.quit();
+        }
+    }
+
+    async isHealthy() {
+        try {
+            if (!this.isConnected) return false;
+            await this.client.ping();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    key(scope, endpoint, idempotencyKey) {
+        return `idempotency:${this.namespace}:${sha256(`${scope}\n${endpoint}\n${idempotencyKey}`)}`;
+    }
+
+    // Claims the key; resolves with null when claimed, otherwise with the record
+    // already stored under it
+    async begin(key, fingerprint) {
+        if (!this.isConnected) {
+            throw new Error('Idempotency store is not connected');
+        }
+
+        const record = JSON.stringify({ state: 'processing', fingerprint, startedAt: new Date().toISOString() });
+        const claimed = await this.client.set(key, record, { NX: true, EX: this.lockSeconds });
+        if (claimed) {
+            return null;
+        }
+
+        const existing = await this.client.get(key);
+        // Expired between the two calls; the caller's retry will claim it
+        return existing ? JSON.parse(existing) : { state: 'processing', fingerprint };
+    }
+
+    async complete(key, fingerprint, statusCode, body) {
+        await this.client.set(
+            key,
+            JSON.stringify({ state: 'completed', fingerprint, statusCode, body, completedAt: new Date().toISOString() }),
+            { EX: this.ttlSeconds }
+        );
+    }
+
+    // Forgets a claim whose request failed, so the client can retry it
+    async release(key) {
+        await this.client.del(key);
+    }
+}
+
+// Express middleware for endpoints that must not run twice for one client intent.
+// Requests without an Idempotency-Key header pass through unchanged. The first
+// response (other than 5xx) is stored and returned for every retry with the same
+// key.
+// Keys are scoped to the user the request acts for, who can't see or collide with
+// another user's keys; reusing a key with a different body is rejected with 422.
+// Each route says who that user is (options.user): the authenticated user, or on
+// routes without authentication the user the request is validated to act for (the
+// userId of a new order, the owner of the order being paid), which is no weaker
+// than the route itself. Without a user, keys are scoped to the request body
+// instead: only a retry with the same body gets the stored response, and a
+// different body is a new request.
+//   user: req => the user id, or a promise of it (default: req.user.userId, as set
+//     by an authentication middleware); undefined or null when there is none
+//   counter: optional prom-client counter with an 'outcome' label
+function idempotencyMiddleware(store, { user, counter, logger: log = logger } = {}) {
+    const userOf = user || (req => req.user?.userId);
+
+    return async (req, res, next) => {
+        const idempotencyKey = req.get('Idempotency-Key');
+        if (idempotencyKey === undefined) {
+            return next();
+        }
+        if (!KEY_PATTERN.test(idempotencyKey)) {
+            return res.status(400).json({ error: 'Idempotency-Key must be 1 to 255 printable ASCII characters' });
+        }
+
+        const fingerprint = sha256(canonicalJson(req.body));
+        let userId;
+        try {
+            userId = await userOf(req);
+        } catch (error) {
+            log.error('Failed to resolve the idempotency scope', { error });
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+        const scope = userId === undefined || userId === null ? `anonymous:${fingerprint}` : `user:${userId}`;
+        const key = store.key(scope, `${req.method} ${req.baseUrl}${req.path}`, idempotencyKey);
+
+        let existing;
+        try {
+            existing = await store.begin(key, fingerprint);
+        } catch (error) {
+            // The client asked for at-most-once; don't run the request unprotected
+            log.error('Idempotency store unavailable', { error });
+            return res.status(503).json({ error: 'Idempotency store unavailable, retry later' });
+        }
+
+        if (existing) {
+            if (existing.fingerprint !== fingerprint) {
+                counter?.inc({ outcome: 'mismatch' });
+                return res.status(422).json({ error: 'Idempotency-Key was already used with a different request body' });
+            }
+            if (existing.state === 'processing') {
+                counter?.inc({ outcome: 'in_progress' });
+                res.set('Retry-After', '1');
+                return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+            }
+
+            counter?.inc({ outcome: 'replayed' });
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.statusCode).json(existing.body);
+        }
+
+        counter?.inc({ outcome: 'processed' });
+
+        // Saved when the handler responds, even if the client has gone away by then.
+        // The response is sent once saved, so a retry after it always gets the replay.
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const saved = res.statusCode >= 500
+                ? store.release(key)
+                : store.complete(key, fingerprint, res.statusCode, body);
+            saved
+                .catch(error => log.error('Failed to save idempotent response', { error }))
+                .finally(() => json(body));
+            return res;
+        };
+
+        next();
+    };
+}
+
+module.exports = { IdempotencyStore, idempotencyMiddleware };
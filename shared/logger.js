@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { tracer } = require('./tracing');
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+// Health probes and scrapes are logged at debug to keep info logs readable
+const PROBE_PATHS = new Set(['/health', '/ready', '/metrics']);
+
+// Per-request fields (request ID, user ID...) attached to every log line
+const contextStorage = new AsyncLocalStorage();
+
+class Logger {
+    constructor(config, fields = {}) {
+        this.config = config;
+        this.fields = fields;
+    }
+
+    // Level resolution: explicit option, LOG_LEVEL_<SERVICE_NAME>, LOG_LEVEL, 'info'
+    configure(serviceName, options = {}) {
+        const serviceEnvKey = `LOG_LEVEL_${serviceName.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+
+        this.config.serviceName = serviceName;
+        this.setLevel(options.level || process.env[serviceEnvKey] || process.env.LOG_LEVEL || 'info');
+        if (options.stream) {
+            this.config.stream = options.stream;
+        }
+        return this;
+    }
+
+    setLevel(level) {
+        if (!(level in LEVELS)) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        this.config.level = level;
+    }
+
+    get level() {
+        return this.config.level;
+    }
+
+    // Child loggers share the service config and add their own fields
+    child(fields) {
+        return new Logger(this.config, { ...this.fields, ...fields });
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.config.level];
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    write(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const span = tracer.currentSpan();
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level,
+            service: this.config.serviceName,
+            message,
+            ...contextStorage.getStore(),
+            ...(span && {
+                correlationId: span.correlationId,
+                traceId: span.traceId,
+                spanId: span.spanId
+            }),
+            ...this.fields
+        };
+
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        }
+
+        this.config.stream.write(safeStringify(entry) + '\n');
+    }
+
+    // Runs fn with extra fields added to every log line emitted inside it
+    runWithContext(fields, fn) {
+        return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+    }
+
+    // Adds fields (e.g. userId once authenticated) to the current request context
+    addContext(fields) {
+        const store = contextStorage.getStore();
+        if (store) {
+            Object.assign(store, fields);
+        }
+    }
+
+    // Express middleware: assigns a request ID and logs one line per completed request
+    requestLogger() {
+        return (req, res, next) => {
+            const requestId = req.headers['x-request-id'] || crypto.randomUUID();
+            const startTime = process.hrtime.bigint();
+
+            req.id = requestId;
+            res.set('x-request-id', requestId);
+
+            this.runWithContext({ requestId }, () => {
+                res.on('finish', () => {
+                    const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+                    let level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+                    if (level === 'info' && PROBE_PATHS.has(req.path)) {
+                        level = 'debug';
+                    }
+
+                    // 'finish' fires outside the request's async context, so pass IDs explicitly
+                    this.write(level, 'Request completed', {
+                        requestId,
+                        correlationId: req.correlationId,
+                        traceId: req.span?.traceId,
+                        method: req.method,
+                        path: req.originalUrl,
+                        statusCode: res.statusCode,
+                        durationMs: Math.round(durationMs * 100) / 100,
+                        ip: req.ip,
+                        userAgent: req.headers['user-agent']
+                    });
+                });
+
+                next();
+            });
+        };
+    }
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code && { code: error.code }),
+        stack: error.stack
+    };
+}
+
+function safeStringify(entry) {
+    try {
+        return JSON.stringify(entry);
+    } catch (error) {
+        return JSON.stringify({
+            timestamp: entry.timestamp,
+            level: entry.level,
+            service: entry.service,
+            message: entry.message,
+            serializationError: error.message
+        });
+    }
+}
+
+// Process-wide root logger, configured by BaseService with the service name
+const logger = new Logger({
+    serviceName: 'unknown-service',
+    level: process.env.LOG_LEVEL || 'info',
+    stream: process.stdout
+});
+
+module.exports = {
+    Logger,
+    LEVELS,
+    logger
+};
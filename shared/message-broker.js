@@ -1,82 +1,196 @@
+const crypto = require('crypto');
+const os = require('os');
 const redis = require('redis');
+const { tracer } = require('./tracing');
+const { logger } = require('./logger');
+const { eventSchemas } = require('./event-schemas');
 
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Transports:
+//  - 'pubsub'  (default) Redis PUBLISH/SUBSCRIBE, fire-and-forget
+//  - 'streams' Redis Streams with consumer groups: at-least-once delivery, messages
+//              are acked only after every handler resolves, and entries left pending
+//              by a dead consumer are claimed by the live ones
+// With either transport a failing handler is retried with exponential backoff, then
+// the message is moved to the service's dead-letter stream (see createDeadLetterRouter)
 class MessageBroker {
-    constructor() {
+    constructor(options = {}) {
+        this.tracer = options.tracer || tracer;
+        this.logger = (options.logger || logger).child({ component: 'MessageBroker' });
+        this.transport = options.transport || process.env.MESSAGE_TRANSPORT || 'pubsub';
+        this.schemas = options.schemas || eventSchemas;
         this.publisher = null;
         this.subscriber = null;
         this.eventHandlers = new Map();
+        // Channels whose consumer group / Redis subscription is being created
+        this.channelSetups = new Map();
+        this.inFlightHandlers = new Set();
+        this.isDraining = false;
         this.isConnected = false;
+
+        // Handler retry policy; subscriptions may override any field
+        this.retryPolicy = {
+            maxAttempts: parseInt(process.env.MESSAGE_RETRY_MAX_ATTEMPTS) || 3,
+            initialDelay: 500,
+            maxDelay: 10000,
+            ...options.retry
+        };
+        this.deadLetterMaxLength = options.deadLetterMaxLength || 10000;
+
+        // Streams settings
+        this.consumerGroup = options.consumerGroup || process.env.MESSAGE_CONSUMER_GROUP || 'default';
+        this.consumerName = options.consumerName || `${os.hostname()}-${this.consumerGroup}`;
+        this.streamMaxLength = options.streamMaxLength || parseInt(process.env.STREAM_MAX_LENGTH) || 100000;
+        this.batchSize = options.batchSize || 10;
+        this.blockTimeout = options.blockTimeout || 2000;
+        this.claimIdleTime = options.claimIdleTime || 60000;
+        this.claimInterval = options.claimInterval || 30000;
+        this.streamLoop = null;
+        this.claimTimer = null;
+        this.isClaiming = false;
+
+        if (!['pubsub', 'streams'].includes(this.transport)) {
+            throw new Error(`Unknown message transport: ${this.transport}`);
+        }
+    }
+
+    get usesStreams() {
+        return this.transport === 'streams';
     }
 
     async connect() {
         try {
             const redisOptions = {
-                host: process.env.REDIS_HOST || 'redis',
-                port: process.env.REDIS_PORT || 6379,
-                retry_strategy: (options) => {
-                    if (options.error && options.error.code === 'ECONNREFUSED') {
-                        return new Error('The server refused the connection');
-                    }
-                    if (options.total_retry_time > 1000 * 60 * 60) {
-                        return new Error('Retry time exhausted');
-                    }
-                    if (options.attempt > 10) {
-                        return undefined;
-                    }
-                    return Math.min(options.attempt * 100, 3000);
+                socket: {
+                    host: process.env.REDIS_HOST || 'redis',
+                    port: parseInt(process.env.REDIS_PORT) || 6379,
+                    reconnectStrategy: (retries) => Math.min(retries * 100, 3000)
                 }
             };
 
             this.publisher = redis.createClient(redisOptions);
+            // Pub/sub: subscription connection. Streams: dedicated connection for blocking reads
             this.subscriber = redis.createClient(redisOptions);
 
+            for (const client of [this.publisher, this.subscriber]) {
+                client.on('error', (error) => {
+                    this.logger.error('Redis client error', { error });
+                });
+            }
+
             await this.publisher.connect();
             await this.subscriber.connect();
 
-            this.subscriber.on('message', (channel, message) => {
-                this.handleMessage(channel, message);
-            });
-
             this.isConnected = true;
-            console.log('[MessageBroker] Connected to Redis');
+            this.logger.info('Connected to Redis', { transport: this.transport });
         } catch (error) {
-            console.error('[MessageBroker] Connection failed:', error);
+            this.logger.error('Connection failed', { error });
             throw error;
         }
     }
 
-    async publish(channel, data) {
+    // Rejects with an EventValidationError when the channel has no registered
+    // contract or data doesn't match it; nothing is sent in that case.
+    // options.id: message id to send under instead of a new one, so that publishing
+    // the same message again (e.g. from the outbox) lets consumers spot the duplicate
+    async publish(channel, data, options = {}) {
         if (!this.isConnected) {
             throw new Error('MessageBroker not connected');
         }
 
-        const message = {
-            id: this.generateId(),
-            timestamp: new Date().toISOString(),
-            data: data
-        };
+        return this.tracer.withSpan(`publish ${channel}`, {
+            kind: 'producer',
+            attributes: { 'messaging.destination': channel, 'messaging.system': this.transport }
+        }, async (span) => {
+            let contract;
+            try {
+                contract = this.schemas.assertValid(channel, data);
+            } catch (error) {
+                this.logger.error('Refusing to publish invalid event', { channel, error, details: error.details });
+                throw error;
+            }
 
-        try {
-            await this.publisher.publish(channel, JSON.stringify(message));
-            console.log(`[MessageBroker] Published to ${channel}:`, message.id);
-        } catch (error) {
-            console.error(`[MessageBroker] Publish failed for ${channel}:`, error);
-            throw error;
-        }
+            // Trace context travels in the envelope so subscribers continue the same trace
+            const message = {
+                id: options.id || this.generateId(),
+                timestamp: new Date().toISOString(),
+                schemaVersion: contract.version,
+                traceparent: span.traceparent,
+                correlationId: span.correlationId,
+                data: data
+            };
+            span.setAttribute('messaging.message_id', message.id);
+
+            try {
+                if (this.usesStreams) {
+                    message.streamId = await this.publisher.xAdd(
+                        this.streamKey(channel),
+                        '*',
+                        { payload: JSON.stringify(message) },
+                        { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.streamMaxLength } }
+                    );
+                } else {
+                    await this.publisher.publish(channel, JSON.stringify(message));
+                }
+                this.logger.debug('Published message', { channel, messageId: message.id });
+                return message;
+            } catch (error) {
+                this.logger.error('Publish failed', { channel, messageId: message.id, error });
+                throw error;
+            }
+        });
     }
 
-    async subscribe(channel, handler) {
+    // options.startId (streams only): where a newly created consumer group starts
+    // reading - '$' (default) for new messages only, '0' for the whole stream
+    // options.retry: { maxAttempts, initialDelay, maxDelay } overriding the broker policy
+    // options.deadLetter: false to drop (pub/sub) or leave pending (streams) instead of
+    // dead-lettering once retries are exhausted
+    // options.validate: check each payload against the channel's registered contract
+    // before calling the handler; invalid messages go straight to the dead-letter queue
+    // options.name: identifies the subscription when replaying its dead letters
+    // (defaults to "<channel>#<n>", n counting subscriptions on the channel)
+    async subscribe(channel, handler, options = {}) {
         if (!this.isConnected) {
             throw new Error('MessageBroker not connected');
         }
 
+        // The channel is only listed (and read by the stream consumer) once its consumer
+        // group or Redis subscription exists; if creating that fails, nothing is left
+        // behind and subscribing again retries it
         if (!this.eventHandlers.has(channel)) {
-            this.eventHandlers.set(channel, []);
-            await this.subscriber.subscribe(channel);
-            console.log(`[MessageBroker] Subscribed to ${channel}`);
+            if (!this.channelSetups.has(channel)) {
+                const setup = this.setupChannel(channel, options).finally(() => this.channelSetups.delete(channel));
+                this.channelSetups.set(channel, setup);
+            }
+            await this.channelSetups.get(channel);
+
+            if (!this.eventHandlers.has(channel)) {
+                this.eventHandlers.set(channel, []);
+                if (this.usesStreams) {
+                    this.startStreamConsumer();
+                }
+                this.logger.info('Subscribed to channel', { channel, transport: this.transport });
+            }
         }
 
-        this.eventHandlers.get(channel).push(handler);
+        const subscriptions = this.eventHandlers.get(channel);
+        subscriptions.push({
+            handler,
+            name: options.name || `${channel}#${subscriptions.length + 1}`,
+            retry: { ...this.retryPolicy, ...options.retry },
+            validate: options.validate === true,
+            deadLetter: options.deadLetter !== false
+        });
+    }
+
+    async setupChannel(channel, options) {
+        if (this.usesStreams) {
+            await this.ensureConsumerGroup(channel, options.startId || '$');
+        } else {
+            await this.subscriber.subscribe(channel, (message) => this.handleMessage(channel, message));
+        }
     }
 
     async unsubscribe(channel, handler) {
@@ -84,50 +198,516 @@ class MessageBroker {
             return;
         }
 
-        const handlers = this.eventHandlers.get(channel);
-        const index = handlers.indexOf(handler);
-        
+        const subscriptions = this.eventHandlers.get(channel);
+        const index = subscriptions.findIndex(subscription => subscription.handler === handler);
+
         if (index > -1) {
-            handlers.splice(index, 1);
+            subscriptions.splice(index, 1);
         }
 
-        if (handlers.length === 0) {
-            await this.subscriber.unsubscribe(channel);
+        if (subscriptions.length === 0) {
+            // Streams: the consumer loop simply stops reading this key on its next pass
+            if (!this.usesStreams) {
+                await this.subscriber.unsubscribe(channel);
+            }
             this.eventHandlers.delete(channel);
-            console.log(`[MessageBroker] Unsubscribed from ${channel}`);
+            this.logger.info('Unsubscribed from channel', { channel });
         }
     }
 
     handleMessage(channel, message) {
+        let parsedMessage;
+        try {
+            parsedMessage = JSON.parse(message);
+        } catch (error) {
+            this.logger.error('Message parsing error', { channel, error });
+            return;
+        }
+
+        if (this.isDraining) {
+            this.logger.warn('Message received while draining, skipped', { channel, messageId: parsedMessage.id });
+            return;
+        }
+
+        this.dispatch(channel, parsedMessage).catch(() => {
+            // Already logged per handler; pub/sub has no redelivery
+        });
+    }
+
+    // Runs every subscription for the channel; rejects if any of them failed.
+    // A subscription whose message was dead-lettered counts as handled.
+    dispatch(channel, parsedMessage) {
+        const subscriptions = this.eventHandlers.get(channel) || [];
+        const executions = subscriptions.map(subscription => this.executeSubscription(channel, subscription, parsedMessage));
+
+        // Wait for every handler, even if one fails early, before settling
+        const execution = Promise.allSettled(executions).then((results) => {
+            const failure = results.find(result => result.status === 'rejected');
+            if (failure) {
+                throw failure.reason;
+            }
+        }).finally(() => {
+            this.inFlightHandlers.delete(execution);
+        });
+        this.inFlightHandlers.add(execution);
+        // Keep the tracked promise from surfacing as an unhandled rejection
+        execution.catch(() => {});
+
+        return execution;
+    }
+
+    async executeSubscription(channel, subscription, parsedMessage, { deadLetter = subscription.deadLetter } = {}) {
+        const parent = this.tracer.extract(parsedMessage);
+        const { maxAttempts } = subscription.retry;
+        let lastError;
+
+        if (subscription.validate) {
+            // A payload that breaks its contract fails the same way on every attempt
+            const validationError = this.schemas.check(channel, parsedMessage.data);
+            if (validationError) {
+                this.logger.error('Received invalid event', {
+                    channel,
+                    subscription: subscription.name,
+                    messageId: parsedMessage.id,
+                    schemaVersion: parsedMessage.schemaVersion,
+                    error: validationError,
+                    details: validationError.details
+                });
+                if (!deadLetter) {
+                    throw validationError;
+                }
+                await this.deadLetter(channel, subscription, parsedMessage, validationError, 0);
+                return;
+            }
+        }
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                return await this.tracer.withSpan(`handle ${channel}`, {
+                    kind: 'consumer',
+                    parent,
+                    attributes: {
+                        'messaging.destination': channel,
+                        'messaging.message_id': parsedMessage.id,
+                        'messaging.subscription': subscription.name,
+                        'messaging.attempt': attempt
+                    }
+                }, () => subscription.handler(parsedMessage.data, parsedMessage));
+            } catch (error) {
+                lastError = error;
+                const fields = {
+                    channel,
+                    subscription: subscription.name,
+                    messageId: parsedMessage.id,
+                    attempt,
+                    maxAttempts,
+                    error
+                };
+
+                if (attempt >= maxAttempts) {
+                    this.logger.error('Handler failed, retries exhausted', fields);
+                } else {
+                    const delay = this.retryDelay(subscription.retry, attempt);
+                    this.logger.warn('Handler failed, retrying', { ...fields, delayMs: delay });
+                    await sleep(delay);
+                }
+            }
+        }
+
+        if (!deadLetter) {
+            throw lastError;
+        }
+        // If storing the dead letter fails too, the rejection propagates and a streams
+        // entry stays pending, so the message is still not lost
+        await this.deadLetter(channel, subscription, parsedMessage, lastError, maxAttempts);
+    }
+
+    retryDelay({ initialDelay, maxDelay }, attempt) {
+        return Math.min(initialDelay * 2 ** (attempt - 1), maxDelay);
+    }
+
+    // Dead letters are kept per consumer group (i.e. per service), since only that
+    // service's handlers can replay them
+    deadLetterKey() {
+        return `deadletter:${this.consumerGroup}`;
+    }
+
+    async deadLetter(channel, subscription, parsedMessage, error, attempts) {
+        const deadLetter = {
+            channel,
+            subscription: subscription.name,
+            message: parsedMessage,
+            error: {
+                name: error.name,
+                message: error.message,
+                stack: error.stack,
+                ...(error.details && { details: error.details })
+            },
+            attempts,
+            failedAt: new Date().toISOString()
+        };
+
+        const id = await this.publisher.xAdd(
+            this.deadLetterKey(),
+            '*',
+            { payload: JSON.stringify(deadLetter) },
+            { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.deadLetterMaxLength } }
+        );
+
+        this.logger.warn('Message moved to dead-letter queue', {
+            channel,
+            subscription: subscription.name,
+            messageId: parsedMessage.id,
+            deadLetterId: id,
+            attempts
+        });
+        return id;
+    }
+
+    parseDeadLetter(entry) {
+        return { id: entry.id, ...JSON.parse(entry.message.payload) };
+    }
+
+    // Newest first; pass the last returned id as `before` for the next page
+    async listDeadLetters({ channel, limit = 50, before } = {}) {
+        const deadLetters = [];
+        let end = before ? `(${before}` : '+';
+
+        // Filtering by channel happens client-side, so keep paging until the page is full
+        while (deadLetters.length < limit) {
+            const entries = await this.publisher.xRevRange(this.deadLetterKey(), end, '-', { COUNT: limit });
+            if (entries.length === 0) break;
+
+            for (const entry of entries) {
+                const deadLetter = this.parseDeadLetter(entry);
+                if (!channel || deadLetter.channel === channel) {
+                    deadLetters.push(deadLetter);
+                    if (deadLetters.length === limit) break;
+                }
+            }
+            end = `(${entries[entries.length - 1].id}`;
+        }
+
+        return deadLetters;
+    }
+
+    async getDeadLetter(id) {
+        const entries = await this.publisher.xRange(this.deadLetterKey(), id, id);
+        return entries.length > 0 ? this.parseDeadLetter(entries[0]) : null;
+    }
+
+    async countDeadLetters() {
+        return this.publisher.xLen(this.deadLetterKey());
+    }
+
+    // Runs the failed subscription again (with its retry policy) and removes the
+    // dead letter on success; on failure it stays in the queue and the error is thrown
+    async replayDeadLetter(id) {
+        const deadLetter = await this.getDeadLetter(id);
+        if (!deadLetter) {
+            return null;
+        }
+
+        const subscription = (this.eventHandlers.get(deadLetter.channel) || [])
+            .find(candidate => candidate.name === deadLetter.subscription);
+        if (!subscription) {
+            throw new Error(`No subscription "${deadLetter.subscription}" on channel ${deadLetter.channel}`);
+        }
+
+        await this.executeSubscription(deadLetter.channel, subscription, deadLetter.message, { deadLetter: false });
+        await this.publisher.xDel(this.deadLetterKey(), id);
+
+        this.logger.info('Dead letter replayed', { deadLetterId: id, channel: deadLetter.channel });
+        return deadLetter;
+    }
+
+    // Deletes one dead letter by id, every dead letter of a channel, or all of them
+    async purgeDeadLetters({ id, channel } = {}) {
+        let purged;
+
+        if (id) {
+            purged = await this.publisher.xDel(this.deadLetterKey(), id);
+        } else if (channel) {
+            const ids = [];
+            let start = '-';
+            for (;;) {
+                const entries = await this.publisher.xRange(this.deadLetterKey(), start, '+', { COUNT: 500 });
+                if (entries.length === 0) break;
+                for (const entry of entries) {
+                    if (this.parseDeadLetter(entry).channel === channel) {
+                        ids.push(entry.id);
+                    }
+                }
+                start = `(${entries[entries.length - 1].id}`;
+            }
+            purged = ids.length > 0 ? await this.publisher.xDel(this.deadLetterKey(), ids) : 0;
+        } else {
+            purged = await this.publisher.xLen(this.deadLetterKey());
+            await this.publisher.del(this.deadLetterKey());
+        }
+
+        this.logger.info('Dead letters purged', { id, channel, purged });
+        return purged;
+    }
+
+    streamKey(channel) {
+        return `stream:${channel}`;
+    }
+
+    channelFromStreamKey(key) {
+        return key.replace(/^stream:/, '');
+    }
+
+    async ensureConsumerGroup(channel, startId = '$') {
         try {
-            const parsedMessage = JSON.parse(message);
-            const handlers = this.eventHandlers.get(channel) || [];
-
-            handlers.forEach(handler => {
-                try {
-                    handler(parsedMessage.data, parsedMessage);
-                } catch (error) {
-                    console.error(`[MessageBroker] Handler error for ${channel}:`, error);
+            await this.publisher.xGroupCreate(this.streamKey(channel), this.consumerGroup, startId, { MKSTREAM: true });
+            this.logger.info('Created consumer group', { channel, group: this.consumerGroup, startId });
+        } catch (error) {
+            if (!String(error.message).includes('BUSYGROUP')) {
+                throw error;
+            }
+        }
+    }
+
+    // Moves the consumer group so it re-reads the stream from the given entry ID
+    async setGroupPosition(channel, streamId) {
+        this.assertStreams('setGroupPosition');
+        await this.publisher.xGroupSetId(this.streamKey(channel), this.consumerGroup, streamId);
+        this.logger.info('Consumer group position changed', { channel, group: this.consumerGroup, streamId });
+    }
+
+    // Re-delivers stored entries from fromId to handler (defaults to the channel's
+    // subscribers) outside of the consumer group; nothing is acked or claimed
+    async replay(channel, options = {}, handler = null) {
+        this.assertStreams('replay');
+        const { fromId = '0', toId = '+', batchSize = 100 } = options;
+        let start = fromId;
+        let replayed = 0;
+        let lastId = null;
+
+        for (;;) {
+            const entries = await this.publisher.xRange(this.streamKey(channel), start, toId, { COUNT: batchSize });
+            if (entries.length === 0) break;
+
+            for (const entry of entries) {
+                const parsedMessage = JSON.parse(entry.message.payload);
+                if (handler) {
+                    await handler(parsedMessage.data, parsedMessage);
+                } else {
+                    await this.dispatch(channel, parsedMessage);
                 }
+                replayed++;
+                lastId = entry.id;
+            }
+            // Exclusive range start for the next page
+            start = `(${lastId}`;
+        }
+
+        this.logger.info('Replayed stream', { channel, fromId, replayed, lastId });
+        return { replayed, lastId };
+    }
+
+    assertStreams(operation) {
+        if (!this.usesStreams) {
+            throw new Error(`${operation} requires the streams transport`);
+        }
+    }
+
+    startStreamConsumer() {
+        if (!this.streamLoop) {
+            this.streamLoop = this.runStreamLoop().finally(() => {
+                this.streamLoop = null;
             });
+        }
+
+        if (!this.claimTimer) {
+            this.claimTimer = setInterval(() => this.claimStalledMessages(), this.claimInterval);
+            this.claimTimer.unref();
+        }
+    }
+
+    async runStreamLoop() {
+        // Each newly seen channel first gets a recovery pass over this consumer's own
+        // pending entries (id '0', then after the last one seen), e.g. left over from
+        // before a restart; once exhausted it switches to new entries only ('>')
+        const recovered = new Set();
+        const pendingCursors = new Map();
+
+        while (this.isConnected && !this.isDraining) {
+            const channels = Array.from(this.eventHandlers.keys());
+            if (channels.length === 0) {
+                await sleep(this.blockTimeout);
+                continue;
+            }
+
+            for (const channel of channels) {
+                if (!recovered.has(channel)) {
+                    recovered.add(channel);
+                    pendingCursors.set(channel, '0');
+                }
+            }
+
+            let response;
+            try {
+                response = await this.subscriber.xReadGroup(
+                    this.consumerGroup,
+                    this.consumerName,
+                    channels.map(channel => ({
+                        key: this.streamKey(channel),
+                        id: pendingCursors.has(channel) ? pendingCursors.get(channel) : '>'
+                    })),
+                    { COUNT: this.batchSize, BLOCK: this.blockTimeout }
+                );
+            } catch (error) {
+                if (!this.isConnected || this.isDraining) break;
+                this.logger.error('Stream read failed', { error });
+                await sleep(1000);
+                continue;
+            }
+
+            const entriesByChannel = new Map();
+            for (const stream of response || []) {
+                entriesByChannel.set(this.channelFromStreamKey(stream.name), stream.messages);
+            }
+
+            for (const channel of Array.from(pendingCursors.keys())) {
+                const entries = entriesByChannel.get(channel) || [];
+                if (entries.length === 0) {
+                    pendingCursors.delete(channel);
+                } else {
+                    pendingCursors.set(channel, entries[entries.length - 1].id);
+                }
+            }
+
+            for (const [channel, entries] of entriesByChannel) {
+                for (const entry of entries) {
+                    await this.processStreamEntry(channel, entry);
+                }
+            }
+        }
+    }
+
+    async processStreamEntry(channel, entry) {
+        const key = this.streamKey(channel);
+        let parsedMessage;
+
+        try {
+            parsedMessage = JSON.parse(entry.message.payload);
+        } catch (error) {
+            // Unparseable entries can never succeed; ack so they don't circulate forever
+            this.logger.error('Message parsing error, entry discarded', { channel, streamId: entry.id, error });
+            await this.publisher.xAck(key, this.consumerGroup, entry.id);
+            return;
+        }
+
+        try {
+            await this.dispatch(channel, parsedMessage);
+            await this.publisher.xAck(key, this.consumerGroup, entry.id);
+        } catch (error) {
+            this.logger.warn('Message left pending for redelivery', {
+                channel,
+                streamId: entry.id,
+                messageId: parsedMessage.id
+            });
+        }
+    }
+
+    // Takes over entries pending longer than claimIdleTime (consumer crashed or
+    // handler failed) and processes them on this consumer
+    async claimStalledMessages() {
+        if (this.isClaiming || !this.isConnected || this.isDraining) return;
+        this.isClaiming = true;
+
+        try {
+            for (const channel of this.eventHandlers.keys()) {
+                let cursor = '0-0';
+                do {
+                    const result = await this.publisher.xAutoClaim(
+                        this.streamKey(channel),
+                        this.consumerGroup,
+                        this.consumerName,
+                        this.claimIdleTime,
+                        cursor,
+                        { COUNT: this.batchSize }
+                    );
+
+                    // Entries trimmed from the stream come back as null
+                    const claimed = result.messages.filter(Boolean);
+                    if (claimed.length > 0) {
+                        this.logger.info('Claimed stalled messages', { channel, count: claimed.length });
+                    }
+                    for (const entry of claimed) {
+                        await this.processStreamEntry(channel, entry);
+                    }
+                    cursor = result.nextId;
+                } while (cursor !== '0-0' && !this.isDraining);
+            }
         } catch (error) {
-            console.error(`[MessageBroker] Message parsing error for ${channel}:`, error);
+            this.logger.error('Claiming stalled messages failed', { error });
+        } finally {
+            this.isClaiming = false;
         }
     }
 
+    // Consumers dedupe on message ids, so they must not collide
     generateId() {
-        return Math.random().toString(36).substr(2, 9);
+        return crypto.randomUUID();
+    }
+
+    // Stops consuming and waits (up to timeoutMs) for running handlers to settle
+    async drain(timeoutMs = 10000) {
+        this.isDraining = true;
+        clearInterval(this.claimTimer);
+        this.claimTimer = null;
+
+        if (!this.usesStreams && this.subscriber?.isOpen && this.eventHandlers.size > 0) {
+            try {
+                await this.subscriber.unsubscribe(Array.from(this.eventHandlers.keys()));
+            } catch (error) {
+                this.logger.warn('Unsubscribe during drain failed', { error });
+            }
+        }
+
+        const pending = this.inFlightHandlers.size;
+        // The stream loop finishes its current batch (including acks) before exiting
+        const running = [...this.inFlightHandlers, this.streamLoop].filter(Boolean);
+        let timer;
+        const drained = await Promise.race([
+            Promise.allSettled(running).then(() => true),
+            new Promise(resolve => {
+                timer = setTimeout(() => resolve(false), timeoutMs);
+            })
+        ]);
+        clearTimeout(timer);
+
+        if (drained) {
+            this.logger.info('Drained message handlers', { handlers: pending });
+        } else {
+            // Streams: un-acked entries stay pending and are claimed by another consumer
+            this.logger.warn('Drain deadline reached with handlers still running', {
+                handlers: this.inFlightHandlers.size
+            });
+        }
+        return drained;
     }
 
     async disconnect() {
-        if (this.publisher) {
+        this.isConnected = false;
+        clearInterval(this.claimTimer);
+        this.claimTimer = null;
+
+        if (this.publisher?.isOpen) {
             await this.publisher.quit();
         }
-        if (this.subscriber) {
-            await this.subscriber.quit();
+        if (this.subscriber?.isOpen) {
+            // A blocking XREADGROUP would delay QUIT until it returns
+            if (this.usesStreams) {
+                await this.subscriber.disconnect();
+            } else {
+                await this.subscriber.quit();
+            }
         }
-        this.isConnected = false;
-        console.log('[MessageBroker] Disconnected');
+        this.logger.info('Disconnected');
     }
 
     // Health check method
@@ -142,4 +722,4 @@ class MessageBroker {
     }
 }
 
-module.exports = MessageBroker;
\ No newline at end of file
+module.exports = MessageBroker;
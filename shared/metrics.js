@@ -0,0 +1,93 @@
+const client = require('prom-client');
+
+class Metrics {
+    constructor(serviceName) {
+        this.registry = new client.Registry();
+        this.registry.setDefaultLabels({ service: serviceName });
+
+        // Process stats (CPU, memory, event loop lag, handles, GC)
+        client.collectDefaultMetrics({ register: this.registry });
+
+        this.httpRequestsTotal = this.counter(
+            'http_requests_total',
+            'Total HTTP requests handled',
+            ['method', 'route', 'status_code']
+        );
+
+        this.httpRequestDuration = this.histogram(
+            'http_request_duration_seconds',
+            'HTTP request latency in seconds',
+            ['method', 'route', 'status_code'],
+            [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+        );
+    }
+
+    // Request instrumentation middleware - records count and latency per route
+    middleware() {
+        return (req, res, next) => {
+            if (req.path === '/metrics') {
+                return next();
+            }
+
+            const endTimer = this.httpRequestDuration.startTimer();
+
+            res.on('finish', () => {
+                const labels = {
+                    method: req.method,
+                    route: this.resolveRoute(req),
+                    status_code: res.statusCode
+                };
+
+                this.httpRequestsTotal.inc(labels);
+                endTimer(labels);
+            });
+
+            next();
+        };
+    }
+
+    // Use the matched route pattern (e.g. /api/orders/:id) to keep label cardinality bounded
+    resolveRoute(req) {
+        if (req.route && req.route.path) {
+            return `${req.baseUrl || ''}${req.route.path}`;
+        }
+        return 'unmatched';
+    }
+
+    // Hooks for services to register their own metrics
+    counter(name, help, labelNames = []) {
+        return this.getOrCreate(name, () => new client.Counter({
+            name, help, labelNames, registers: [this.registry]
+        }));
+    }
+
+    // collect(gauge) is invoked on every scrape, useful for sampling current values
+    gauge(name, help, labelNames = [], collect) {
+        return this.getOrCreate(name, () => new client.Gauge({
+            name, help, labelNames, registers: [this.registry],
+            ...(collect ? { collect() { return collect(this); } } : {})
+        }));
+    }
+
+    histogram(name, help, labelNames = [], buckets) {
+        return this.getOrCreate(name, () => new client.Histogram({
+            name, help, labelNames, registers: [this.registry],
+            ...(buckets ? { buckets } : {})
+        }));
+    }
+
+    getOrCreate(name, factory) {
+        return this.registry.getSingleMetric(name) || factory();
+    }
+
+    async handler(req, res) {
+        try {
+            res.set('Content-Type', this.registry.contentType);
+            res.end(await this.registry.metrics());
+        } catch (error) {
+            res.status(500).end(error.message);
+        }
+    }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// Migration CLI, run from a service directory (uses ./migrations and POSTGRES_* env):
+//   node ../../shared/migrate.js up [--to <version>]
+//   node ../../shared/migrate.js down [--steps <n> | --to <version>]
+//   node ../../shared/migrate.js status
+// The service's npm scripts pass its database with --database; POSTGRES_DB
+// overrides it, as it does for the service itself.
+const path = require('path');
+const Database = require('./database');
+const MigrationRunner = require('./migration-runner');
+const { logger } = require('./logger');
+
+function parseArgs(argv) {
+    const [command = 'status', ...rest] = argv;
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        const match = /^--(\w+)$/.exec(rest[i]);
+        if (!match) {
+            throw new Error(`Unexpected argument: ${rest[i]}`);
+        }
+        options[match[1]] = rest[++i];
+    }
+
+    return { command, options };
+}
+
+async function main() {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    const serviceDir = process.cwd();
+
+    logger.configure(`${path.basename(serviceDir)}-migrate`);
+
+    if (!process.env.POSTGRES_DB && !options.database) {
+        throw new Error('No database given: pass --database <name> or set POSTGRES_DB');
+    }
+
+    const db = new Database({ database: options.database, maxAttempts: 1 });
+    const runner = new MigrationRunner(db, {
+        directory: path.resolve(serviceDir, options.dir || 'migrations')
+    });
+    const toInt = (value) => (value === undefined ? undefined : parseInt(value, 10));
+
+    try {
+        let result;
+        switch (command) {
+            case 'up':
+                result = { applied: await runner.up({ to: toInt(options.to) }) };
+                break;
+            case 'down':
+                result = { reverted: await runner.down({ steps: toInt(options.steps) || 1, to: toInt(options.to) }) };
+                break;
+            case 'status':
+                result = await runner.status();
+                break;
+            default:
+                throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+        }
+
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch((error) => {
+    logger.error('Migration command failed', { error });
+    process.exit(1);
+});
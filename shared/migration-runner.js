@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Files are named <version>_<description>.js, e.g. 001_create_orders.js, and export
+// { up(client), down(client) }. Each migration runs in its own transaction.
+const MIGRATION_FILE_REGEX = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationRunner {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.directory = options.directory;
+        this.tableName = options.tableName || 'schema_migrations';
+        this.logger = (options.logger || logger).child({ component: 'MigrationRunner' });
+    }
+
+    loadMigrations() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        const migrations = fs.readdirSync(this.directory)
+            .map(file => ({ file, match: MIGRATION_FILE_REGEX.exec(file) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => {
+                const definition = require(path.join(this.directory, file));
+                if (typeof definition.up !== 'function') {
+                    throw new Error(`Migration ${file} must export an up() function`);
+                }
+                return {
+                    version: parseInt(match[1], 10),
+                    name: match[2],
+                    file,
+                    up: definition.up,
+                    down: definition.down
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < migrations.length; i++) {
+            if (migrations[i].version === migrations[i - 1].version) {
+                throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+            }
+        }
+
+        return migrations;
+    }
+
+    // Session-level advisory lock so concurrent replicas apply migrations one at a time
+    async withLock(fn) {
+        const client = await this.db.acquire();
+
+        try {
+            await client.query('SELECT pg_advisory_lock(hashtext($1))', [this.tableName]);
+            try {
+                await this.ensureTable(client);
+                return await fn(client);
+            } finally {
+                await client.query('SELECT pg_advisory_unlock(hashtext($1))', [this.tableName]);
+            }
+        } finally {
+            client.release();
+        }
+    }
+
+    async ensureTable(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    async getAppliedVersions(client) {
+        const result = await client.query(`SELECT version FROM ${this.tableName} ORDER BY version ASC`);
+        return result.rows.map(row => row.version);
+    }
+
+    async runInTransaction(client, fn) {
+        await client.query('BEGIN');
+        try {
+            await fn();
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+    }
+
+    // Applies pending migrations up to and including `to` (default: all)
+    async up({ to } = {}) {
+        const migrations = this.loadMigrations();
+
+        return this.withLock(async (client) => {
+            const applied = new Set(await this.getAppliedVersions(client));
+            const pending = migrations.filter(m => !applied.has(m.version) && (to === undefined || m.version <= to));
+
+            for (const migration of pending) {
+                this.logger.info('Applying migration', { version: migration.version, migration: migration.name });
+
+                await this.runInTransaction(client, async () => {
+                    await migration.up(client);
+                    await client.query(
+                        `INSERT INTO ${this.tableName} (version, name) VALUES ($1, $2)`,
+                        [migration.version, migration.name]
+                    );
+                });
+            }
+
+            if (pending.length === 0) {
+                this.logger.info('Schema is up to date', { version: Math.max(0, ...applied) });
+            }
+            return pending.map(({ version, name }) => ({ version, name }));
+        });
+    }
+
+    // Reverts the last `steps` migrations, or every migration above `to`
+    async down({ steps = 1, to } = {}) {
+        const migrations = new Map(this.loadMigrations().map(m => [m.version, m]));
+
+        return this.withLock(async (client) => {
+            const applied = (await this.getAppliedVersions(client)).reverse();
+            const toRevert = to !== undefined
+                ? applied.filter(version => version > to)
+                : applied.slice(0, steps);
+
+            for (const version of toRevert) {
+                const migration = migrations.get(version);
+                if (!migration) {
+                    throw new Error(`Migration file for applied version ${version} not found`);
+                }
+                if (typeof migration.down !== 'function') {
+                    throw new Error(`Migration ${migration.file} is irreversible (no down())`);
+                }
+
+                this.logger.info('Reverting migration', { version, migration: migration.name });
+
+                await this.runInTransaction(client, async () => {
+                    await migration.down(client);
+                    await client.query(`DELETE FROM ${this.tableName} WHERE version = $1`, [version]);
+                });
+            }
+
+            return toRevert.map(version => ({ version, name: migrations.get(version).name }));
+        });
+    }
+
+    async status() {
+        const migrations = this.loadMigrations();
+
+        return this.withLock(async (client) => {
+            const result = await client.query(`SELECT version, applied_at FROM ${this.tableName}`);
+            const applied = new Map(result.rows.map(row => [row.version, row.applied_at]));
+            const known = new Set(migrations.map(m => m.version));
+
+            return {
+                migrations: migrations.map(m => ({
+                    version: m.version,
+                    name: m.name,
+                    applied: applied.has(m.version),
+                    appliedAt: applied.get(m.version) || null
+                })),
+                // Applied in the database but missing on disk (e.g. deployed from a newer build)
+                unknown: Array.from(applied.keys()).filter(version => !known.has(version))
+            };
+        });
+    }
+}
+
+module.exports = MigrationRunner;
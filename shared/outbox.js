@@ -0,0 +1,195 @@
+const { tracer } = require('./tracing');
+const { logger } = require('./logger');
+const { eventSchemas } = require('./event-schemas');
+
+// Transactional outbox: add() writes an event in the caller's transaction, so it
+// exists if and only if the business change committed. The relay publishes pending
+// rows through the MessageBroker in insertion order and marks them published.
+// Delivery is at-least-once: a crash between publish and the published_at update
+// sends the row again, so consumers must tolerate duplicates. A row is always sent
+// under the same message id (outbox.message_id), which they can dedupe on.
+class Outbox {
+    constructor(db, messageBroker, options = {}) {
+        this.db = db;
+        this.messageBroker = messageBroker;
+        this.tableName = options.tableName || 'outbox';
+        this.tracer = options.tracer || tracer;
+        this.logger = (options.logger || logger).child({ component: 'Outbox' });
+        this.schemas = options.schemas || eventSchemas;
+        this.pollInterval = options.pollInterval || parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000;
+        this.batchSize = options.batchSize || 100;
+        this.retry = {
+            initialDelay: options.initialDelay || 1000,
+            maxDelay: options.maxDelay || 300000
+        };
+        // Published rows are kept this long for inspection, then deleted
+        this.retentionHours = options.retentionHours || 72;
+        this.cleanupInterval = 60 * 60 * 1000;
+        this.lastCleanup = 0;
+        this.timer = null;
+        this.relaying = null;
+    }
+
+    // Must be called with the client of an open transaction. Payloads are validated
+    // here so a row that can never be published is never committed.
+    async add(client, channel, data) {
+        this.schemas.assertValid(channel, data);
+        // The relay publishes in a span continuing the trace of the original request
+        const headers = this.tracer.inject({});
+
+        await client.query(
+            `INSERT INTO ${this.tableName} (channel, payload, headers) VALUES ($1, $2, $3)`,
+            [channel, JSON.stringify(data), JSON.stringify(headers)]
+        );
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.relay(), this.pollInterval);
+            this.timer.unref();
+            this.logger.info('Outbox relay started', { pollIntervalMs: this.pollInterval });
+        }
+    }
+
+    // Stops polling and waits for a running relay pass to finish
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.relaying;
+    }
+
+    // Runs a relay pass now (e.g. right after a commit) instead of waiting for the
+    // next poll; concurrent calls share the running pass
+    relay() {
+        if (!this.relaying) {
+            this.relaying = this.relayPending()
+                .catch(error => this.logger.error('Outbox relay failed', { error }))
+                .finally(() => {
+                    this.relaying = null;
+                });
+        }
+        return this.relaying;
+    }
+
+    async relayPending() {
+        if (!this.messageBroker.isConnected) {
+            return;
+        }
+
+        let published;
+        do {
+            published = await this.relayBatch();
+        } while (published === this.batchSize && this.messageBroker.isConnected);
+
+        if (Date.now() - this.lastCleanup > this.cleanupInterval) {
+            this.lastCleanup = Date.now();
+            await this.deletePublished();
+        }
+    }
+
+    async relayBatch() {
+        return this.db.withTransaction(async (client) => {
+            // One relay at a time across replicas keeps events in insertion order
+            const lock = await client.query('SELECT pg_try_advisory_xact_lock(hashtext($1)) AS locked', [this.tableName]);
+            if (!lock.rows[0].locked) {
+                return 0;
+            }
+
+            const result = await client.query(
+                `SELECT id, message_id, channel, payload, headers, attempts, next_attempt_at <= CURRENT_TIMESTAMP AS due
+                 FROM ${this.tableName}
+                 WHERE published_at IS NULL
+                 ORDER BY id
+                 LIMIT $1`,
+                [this.batchSize]
+            );
+
+            let published = 0;
+            for (const row of result.rows) {
+                // A failed row blocks the ones behind it until its backoff expires
+                if (!row.due) break;
+
+                try {
+                    await this.tracer.withSpan(`outbox.relay ${row.channel}`, {
+                        parent: this.tracer.extract(row.headers),
+                        attributes: { 'outbox.id': row.id, 'outbox.attempts': row.attempts }
+                    }, () => this.messageBroker.publish(row.channel, row.payload, { id: row.message_id }));
+                } catch (error) {
+                    const delay = Math.min(this.retry.initialDelay * 2 ** row.attempts, this.retry.maxDelay);
+                    await client.query(
+                        `UPDATE ${this.tableName}
+                         SET attempts = attempts + 1, last_error = $2,
+                             next_attempt_at = CURRENT_TIMESTAMP + $3 * INTERVAL '1 millisecond'
+                         WHERE id = $1`,
+                        [row.id, error.message, delay]
+                    );
+                    this.logger.warn('Outbox publish failed, will retry', {
+                        outboxId: row.id,
+                        channel: row.channel,
+                        attempts: row.attempts + 1,
+                        delayMs: delay,
+                        error
+                    });
+                    break;
+                }
+
+                await client.query(
+                    `UPDATE ${this.tableName} SET attempts = attempts + 1, published_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                    [row.id]
+                );
+                published++;
+            }
+
+            return published;
+        });
+    }
+
+    async deletePublished() {
+        const result = await this.db.query(
+            `DELETE FROM ${this.tableName}
+             WHERE published_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 hour'`,
+            [this.retentionHours]
+        );
+        if (result.rowCount > 0) {
+            this.logger.info('Deleted published outbox rows', { count: result.rowCount });
+        }
+    }
+
+    async countPending() {
+        const result = await this.db.query(`SELECT COUNT(*) FROM ${this.tableName} WHERE published_at IS NULL`);
+        return parseInt(result.rows[0].count);
+    }
+
+    async getBacklog({ limit = 20 } = {}) {
+        const [summary, pending] = await Promise.all([
+            this.db.query(`
+                SELECT
+                    COUNT(*) FILTER (WHERE published_at IS NULL) AS pending,
+                    COUNT(*) FILTER (WHERE published_at IS NULL AND attempts > 0) AS failing,
+                    EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - MIN(created_at) FILTER (WHERE published_at IS NULL)) AS oldest_pending_seconds,
+                    COUNT(*) FILTER (WHERE published_at > CURRENT_TIMESTAMP - INTERVAL '1 hour') AS published_last_hour
+                FROM ${this.tableName}
+            `),
+            this.db.query(
+                `SELECT id, channel, payload, attempts, last_error, next_attempt_at, created_at
+                 FROM ${this.tableName}
+                 WHERE published_at IS NULL
+                 ORDER BY id
+                 LIMIT $1`,
+                [limit]
+            )
+        ]);
+
+        const row = summary.rows[0];
+        return {
+            pending: parseInt(row.pending),
+            failing: parseInt(row.failing),
+            oldestPendingSeconds: row.oldest_pending_seconds === null ? null : Math.round(parseFloat(row.oldest_pending_seconds)),
+            publishedLastHour: parseInt(row.published_last_hour),
+            relayRunning: this.timer !== null,
+            entries: pending.rows
+        };
+    }
+}
+
+module.exports = Outbox;
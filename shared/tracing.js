@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// W3C Trace Context: version-traceId-parentId-flags
+const TRACEPARENT_REGEX = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const CORRELATION_HEADER = 'x-correlation-id';
+
+// OTLP span kinds
+const SPAN_KINDS = {
+    internal: 1,
+    server: 2,
+    client: 3,
+    producer: 4,
+    consumer: 5
+};
+
+// Monotonic clock anchored to wall time, in nanoseconds
+const hrtimeOrigin = process.hrtime.bigint();
+const epochOriginNanos = BigInt(Date.now()) * 1000000n;
+const nowNanos = () => process.hrtime.bigint() - hrtimeOrigin + epochOriginNanos;
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+class Span {
+    constructor(tracer, name, options = {}) {
+        this.tracer = tracer;
+        this.name = name;
+        this.kind = options.kind || 'internal';
+        this.traceId = options.traceId || randomHex(16);
+        this.spanId = randomHex(8);
+        this.parentSpanId = options.parentSpanId || null;
+        this.correlationId = options.correlationId || this.traceId;
+        this.attributes = { ...(options.attributes || {}) };
+        this.status = { code: 'UNSET' };
+        this.startTime = nowNanos();
+        this.endTime = null;
+    }
+
+    get traceparent() {
+        return `00-${this.traceId}-${this.spanId}-01`;
+    }
+
+    setAttribute(key, value) {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    recordError(error) {
+        this.status = { code: 'ERROR', message: error.message };
+        this.attributes['exception.type'] = error.name;
+        this.attributes['exception.message'] = error.message;
+        return this;
+    }
+
+    end() {
+        if (this.endTime) return;
+        this.endTime = nowNanos();
+        if (this.status.code === 'UNSET') {
+            this.status = { code: 'OK' };
+        }
+        this.tracer.export(this);
+    }
+
+    toJSON() {
+        return {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            parentSpanId: this.parentSpanId,
+            correlationId: this.correlationId,
+            name: this.name,
+            kind: this.kind,
+            service: this.tracer.serviceName,
+            startTime: new Date(Number(this.startTime / 1000000n)).toISOString(),
+            durationMs: this.endTime ? Number(this.endTime - this.startTime) / 1e6 : null,
+            attributes: this.attributes,
+            status: this.status
+        };
+    }
+}
+
+// Writes one JSON span per line to a local file
+class FileExporter {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async export(spans) {
+        const lines = spans.map(span => JSON.stringify(span.toJSON())).join('\n') + '\n';
+        await fs.promises.appendFile(this.filePath, lines);
+    }
+}
+
+// Sends spans to an OpenTelemetry collector using OTLP/HTTP JSON
+class OtlpHttpExporter {
+    constructor(endpoint, serviceName) {
+        this.url = `${endpoint.replace(/\/$/, '')}/v1/traces`;
+        this.serviceName = serviceName;
+    }
+
+    async export(spans) {
+        const body = {
+            resourceSpans: [{
+                resource: {
+                    attributes: [toOtlpAttribute('service.name', this.serviceName)]
+                },
+                scopeSpans: [{
+                    scope: { name: 'cloudmarket-tracing' },
+                    spans: spans.map(span => ({
+                        traceId: span.traceId,
+                        spanId: span.spanId,
+                        parentSpanId: span.parentSpanId || undefined,
+                        name: span.name,
+                        kind: SPAN_KINDS[span.kind] || SPAN_KINDS.internal,
+                        startTimeUnixNano: span.startTime.toString(),
+                        endTimeUnixNano: span.endTime.toString(),
+                        attributes: Object.entries({ ...span.attributes, 'correlation.id': span.correlationId })
+                            .map(([key, value]) => toOtlpAttribute(key, value)),
+                        status: {
+                            code: span.status.code === 'ERROR' ? 2 : 1,
+                            message: span.status.message
+                        }
+                    }))
+                }]
+            }]
+        };
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`OTLP export failed: ${response.status}`);
+        }
+    }
+}
+
+function toOtlpAttribute(key, value) {
+    if (typeof value === 'number') {
+        return { key, value: Number.isInteger(value) ? { intValue: value } : { doubleValue: value } };
+    }
+    if (typeof value === 'boolean') {
+        return { key, value: { boolValue: value } };
+    }
+    return { key, value: { stringValue: String(value) } };
+}
+
+class Tracer {
+    constructor(serviceName = 'unknown-service') {
+        this.serviceName = serviceName;
+        this.storage = new AsyncLocalStorage();
+        this.exporter = null;
+        this.buffer = [];
+        this.maxBatchSize = 100;
+        this.flushTimer = null;
+    }
+
+    // Exporter is chosen from TRACING_EXPORTER: 'otlp', 'file' or 'none' (default)
+    configure(serviceName, options = {}) {
+        this.serviceName = serviceName;
+        const exporterType = options.exporter || process.env.TRACING_EXPORTER || 'none';
+
+        switch (exporterType) {
+            case 'otlp':
+                this.exporter = new OtlpHttpExporter(
+                    options.endpoint || process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://otel-collector:4318',
+                    serviceName
+                );
+                break;
+            case 'file':
+                this.exporter = new FileExporter(
+                    options.filePath || process.env.TRACING_FILE || `/tmp/traces-${serviceName}.jsonl`
+                );
+                break;
+            default:
+                this.exporter = null;
+        }
+
+        if (this.exporter && !this.flushTimer) {
+            this.flushTimer = setInterval(() => this.flush(), options.flushInterval || 5000);
+            this.flushTimer.unref();
+        }
+        return this;
+    }
+
+    currentSpan() {
+        return this.storage.getStore() || null;
+    }
+
+    startSpan(name, options = {}) {
+        const parent = options.parent !== undefined ? options.parent : this.currentSpan();
+
+        return new Span(this, name, {
+            kind: options.kind,
+            attributes: options.attributes,
+            traceId: parent?.traceId,
+            parentSpanId: parent?.spanId,
+            correlationId: options.correlationId || parent?.correlationId
+        });
+    }
+
+    // Runs fn inside a new active span; the span ends when fn settles
+    async withSpan(name, options, fn) {
+        const span = this.startSpan(name, options);
+
+        return this.storage.run(span, async () => {
+            try {
+                return await fn(span);
+            } catch (error) {
+                span.recordError(error);
+                throw error;
+            } finally {
+                span.end();
+            }
+        });
+    }
+
+    // Parses a W3C traceparent (plus correlation ID) into a parent context
+    extract(carrier = {}) {
+        const traceparent = carrier.traceparent;
+        const correlationId = carrier[CORRELATION_HEADER] || carrier.correlationId;
+        const match = typeof traceparent === 'string' ? TRACEPARENT_REGEX.exec(traceparent.trim()) : null;
+
+        if (!match) {
+            return correlationId ? { correlationId } : null;
+        }
+
+        return {
+            traceId: match[1],
+            spanId: match[2],
+            correlationId: correlationId || match[1]
+        };
+    }
+
+    // Adds trace headers for the active span to an outgoing request
+    inject(headers = {}, span = this.currentSpan()) {
+        if (span) {
+            headers.traceparent = span.traceparent;
+            headers[CORRELATION_HEADER] = span.correlationId;
+        }
+        return headers;
+    }
+
+    // Express middleware: continues an incoming trace or starts a new one
+    middleware() {
+        return (req, res, next) => {
+            const parent = this.extract({
+                traceparent: req.headers.traceparent,
+                [CORRELATION_HEADER]: req.headers[CORRELATION_HEADER] || req.headers['x-request-id']
+            });
+
+            const span = this.startSpan(`${req.method} ${req.path}`, {
+                kind: 'server',
+                parent,
+                correlationId: parent?.correlationId,
+                attributes: {
+                    'http.method': req.method,
+                    'http.target': req.originalUrl
+                }
+            });
+
+            req.span = span;
+            req.correlationId = span.correlationId;
+            res.set('traceparent', span.traceparent);
+            res.set(CORRELATION_HEADER, span.correlationId);
+
+            res.on('finish', () => {
+                if (req.route && req.route.path) {
+                    span.name = `${req.method} ${req.baseUrl || ''}${req.route.path}`;
+                }
+                span.setAttribute('http.status_code', res.statusCode);
+                if (res.statusCode >= 500) {
+                    span.status = { code: 'ERROR', message: `HTTP ${res.statusCode}` };
+                }
+                span.end();
+            });
+
+            this.storage.run(span, next);
+        };
+    }
+
+    // fetch() wrapper that records a client span and forwards trace headers
+    async fetch(url, init = {}) {
+        const method = (init.method || 'GET').toUpperCase();
+
+        return this.withSpan(`HTTP ${method}`, {
+            kind: 'client',
+            attributes: { 'http.method': method, 'http.url': String(url) }
+        }, async (span) => {
+            const headers = this.inject({ ...(init.headers || {}) }, span);
+            const response = await fetch(url, { ...init, headers });
+            span.setAttribute('http.status_code', response.status);
+            return response;
+        });
+    }
+
+    export(span) {
+        if (!this.exporter) return;
+
+        this.buffer.push(span);
+        if (this.buffer.length >= this.maxBatchSize) {
+            this.flush();
+        }
+    }
+
+    async flush() {
+        if (!this.exporter || this.buffer.length === 0) return;
+
+        const spans = this.buffer.splice(0, this.buffer.length);
+        try {
+            await this.exporter.export(spans);
+        } catch (error) {
+            // Required lazily: the logger itself depends on this module
+            require('./logger').logger.warn('Span export failed', {
+                component: 'Tracing',
+                droppedSpans: spans.length,
+                error
+            });
+        }
+    }
+}
+
+// Process-wide tracer shared by BaseService, MessageBroker and CircuitBreaker
+const tracer = new Tracer();
+
+module.exports = {
+    Tracer,
+    Span,
+    FileExporter,
+    OtlpHttpExporter,
+    tracer
+};